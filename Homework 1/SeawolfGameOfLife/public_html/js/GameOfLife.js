@@ -1,10 +1,11 @@
 /*
  * Conway's Game of Life (Seawolf Edition)
  *
- * This JavaScript file should contain the full implementation of
- * our Game of Life simulation. It does all data management, including
- * updating the game grid, as well as controlling frame rate timing
- * and all rendering to the canvas.
+ * This JavaScript file is the page's side of our Game of Life simulation.
+ * The board is a World from GameOfLifeCore.js, which has the grids, rules
+ * and engines, and this file does everything the user sees and does with
+ * it, i.e. frame rate timing, editing the board, all the panels and all
+ * rendering to the canvas.
  *
  * Authors: Richard McKenna & James Lynn
  */
@@ -12,26 +13,27 @@
 // GAME OF LIFE GLOBAL CONSTANTS & VARIABLES
 
 // CONSTANTS
-var BRIGHT_CELL;
-var DEAD_CELL;
-var LIVE_CELL;
-var GHOST_CELL;
-var VOID_CELL;
 var BRIGHT_COLOR;
-var VOID_COLOR;
-var LIVE_COLOR;
+var YOUNG_CELL_COLOR;
+var OLD_CELL_COLOR;
+var COLD_CELL_COLOR;
+var HOT_CELL_COLOR;
+var NEW_TRAIL_COLOR;
+var OLD_TRAIL_COLOR;
 var GHOST_COLOR;
-var GRID_LINES_COLOR;
 var TEXT_COLOR;
-var TOP_LEFT;
-var TOP_RIGHT;
-var BOTTOM_LEFT;
-var BOTTOM_RIGHT;
-var TOP;
-var BOTTOM;
-var LEFT;
-var RIGHT;
-var CENTER;
+var SELECTION_COLOR;
+var CURSOR_COLOR;
+var CENSUS_COLOR;
+var UNIDENTIFIED_COLOR;
+var RENDER_MODE_STATES;
+var RENDER_MODE_AGE;
+var RENDER_MODE_ACTIVITY;
+var RENDER_MODE_TRAILS;
+var AGE_COLOR_STEPS;
+var ACTIVITY_COLOR_STEPS;
+var TRAIL_LENGTH;
+var BENCHMARK_MILLISECONDS;
 var MILLISECONDS_IN_ONE_SECOND;
 var MAX_FPS;
 var MIN_FPS;
@@ -43,13 +45,110 @@ var MIN_CELL_LENGTH;
 var CELL_LENGTH_INC;
 var CELL_LENGTH_X;
 var CELL_LENGTH_Y;
+var RULE_X;
+var RULE_Y;
+var VIEWPORT_X;
+var VIEWPORT_Y;
 var GRID_LINE_LENGTH_RENDERING_THRESHOLD;
-
-// FRAME RATE TIMING VARIABLES
+var WORLD_WIDTH;
+var WORLD_HEIGHT;
+var PAN_KEY_FRACTION;
+var TOUCH_PRESS;
+var TOUCH_PREVIEW;
+var TOUCH_DRAG;
+var TOUCH_PINCH;
+var LONG_PRESS_DELAY;
+var TOUCH_SLOP;
+var TOUCH_CLICK_DELAY;
+var SESSIONS_STORAGE_KEY;
+var SESSION_FORMAT_VERSION;
+var SAVED_PATTERNS_STORAGE_KEY;
+var CLIPBOARD_PATTERN_KEY;
+var SAVED_PATTERN_KEY_PREFIX;
+var TOOL_STAMP;
+var TOOL_SELECT;
+var TOOL_PENCIL;
+var TOOL_ERASER;
+var RANDOM_FILL_DENSITY;
+var EDITOR_COLS;
+var EDITOR_ROWS;
+var EDITOR_BACKGROUND_COLOR;
+var KEY_BINDINGS_STORAGE_KEY;
+var MAX_UNDO_STEPS;
+var MAX_STEP_COUNT;
+var MAX_GENERATION_HISTORY;
+var MAX_GENERATION_HISTORY_CELLS;
+var MAX_STATISTICS_SAMPLES;
+var CHART_LINE_COLOR;
+var CHART_BACKGROUND_COLOR;
+var MAX_CYCLE_PERIOD;
+var HASH_SEED_LOW;
+var HASH_SEED_HIGH;
+var CENSUS_RADIUS;
+var KNOWN_OBJECTS;
+var SIMULATION_WORKER_URL;
+var ENGINE_B0_MESSAGE;
+
+// FRAME RATE TIMING VARIABLES. WHILE THE SIMULATION IS RUNNING timer IS
+// THE requestAnimationFrame REQUEST FOR THE NEXT RENDER, AND updateTimer IS
+// THE TIMER FOR THE NEXT UPDATE WHEN THERE'S NO WORKER TO DO THE UPDATES
 var timer;
+var updateTimer;
+var renderNeeded;
 var fps;
 var frameInterval;
 
+// SIMULATION WORKER VARIABLES. WHEN IT CAN THE SIMULATION RUNS IN A WEB
+// WORKER THAT SENDS BACK THE CHANGES EACH GENERATION MAKES. simulationEpoch
+// COUNTS THE TIMES WE'VE SENT IT THE BOARD, SO CHANGES IT MADE TO A BOARD WE
+// DON'T HAVE ANYMORE CAN BE IGNORED, AND simulationChanged SAYS THE BOARD
+// WAS CHANGED HERE AND THE WORKER NEEDS IT AGAIN. PENCIL AND ERASER STROKES
+// DON'T NEED THE WHOLE BOARD SENT, THE CELLS THEY DRAW ARE KEPT IN
+// unsentStrokeCells UNTIL THEY'RE SENT ON THEIR OWN, NUMBERED BY
+// strokeCellsVersion, AND KEPT IN unacknowledgedStrokeCells UNTIL THE
+// WORKER SENDS BACK A GENERATION MADE WITH THEM
+var simulationWorker;
+var useSimulationWorker;
+var simulationEpoch;
+var simulationChanged;
+var unsentStrokeCells;
+var strokeCellsVersion;
+var unacknowledgedStrokeCells;
+
+// THE BOARD, A World FROM GameOfLifeCore.js, WHICH HOLDS THE CELLS, THE
+// RULE, THE TOPOLOGY, THE ENGINE AND HOW MANY GENERATIONS HAVE BEEN RUN
+// SINCE THE LAST RESET
+var board;
+
+// THE CELLS EACH RECENT GENERATION CHANGED, AND WHAT THEY WERE
+// BEFORE, SO WE CAN STEP BACK THROUGH THEM
+var generationHistory;
+var generationHistoryCells;
+
+// STATISTICS VARIABLES, ONE SAMPLE PER GENERATION, EACH WITH THE
+// POPULATION, BIRTHS, DEATHS AND BOUNDING BOX OF THE LIVE CELLS
+var statistics;
+var chartCanvas;
+var chartCanvas2D;
+
+// CYCLE DETECTION VARIABLES. boardHashLow AND boardHashHigh ARE THE TWO
+// HALVES OF A HASH OF ALL THE CELLS THAT AREN'T DEAD, WHICH IS KEPT UP TO
+// DATE AS EACH GENERATION CHANGES CELLS UNLESS boardHashValid IS false.
+// seenBoardHashes HAS THE GENERATION EACH RECENT HASH WAS FIRST SEEN AT,
+// OLDEST FIRST IN seenBoardHashOrder, AND cycle IS THE REPEAT WE FOUND,
+// WITH ITS period, firstGeneration AND population, OR null
+var boardHashLow;
+var boardHashHigh;
+var boardHashValid;
+var seenBoardHashes;
+var seenBoardHashOrder;
+var cycle;
+
+// CENSUS VARIABLES. census HAS THE OBJECTS FOUND ON THE BOARD BY THE LAST
+// CENSUS, EACH WITH ITS name, null IF WE DON'T KNOW WHAT IT IS, AND ITS
+// BOUNDING BOX, OR IT'S null IF THE BOARD HAS CHANGED SINCE THEN
+var census;
+
 // CANVAS VARIABLES
 var canvasWidth;
 var canvasHeight;
@@ -58,27 +157,125 @@ var ghostCanvas;
 var canvas2D;
 var ghostCanvas2D;
 
-// GRID VARIABLES
-var gridWidth;
-var gridHeight;
-var updateGrid;
-var renderGrid;
+// THE GRID LINES ARE DRAWN ON THEIR OWN CANVAS, UNDER THE CELLS, ONLY WHEN
+// THE CELL LENGTH CHANGES. gridLinesCellLength IS THE ONE THEY'RE DRAWN FOR
+var gridLinesCanvas;
+var gridLinesCanvas2D;
+var gridLinesCellLength;
+
+// THE CELLS ARE RENDERED BY WRITING THEIR COLORS STRAIGHT INTO THE PIXELS
+// OF AN ImageData, THROUGH cellPixels, WHICH HAS ONE 32-BIT RGBA VALUE PER
+// PIXEL. cellColors HAS THE PIXEL VALUE FOR EACH KIND OF CELL, 0 FOR THOSE
+// THAT AREN'T DRAWN
+var cellImageData;
+var cellPixels;
+var cellColors;
+
+// RENDER MODE VARIABLES. renderMode SAYS WHAT THE CELL COLORS SHOW, EITHER
+// THE CELL STATES, HOW LONG THE LIVE CELLS HAVE BEEN ALIVE, HOW OFTEN EACH
+// CELL HAS COME TO LIFE OR DIED, OR A FADING TRAIL BEHIND THE CELLS THAT
+// JUST DIED. SO THE MODE CAN BE CHANGED AT ANY TIME WE ALWAYS KEEP TRACK,
+// BY CELL INDEX, OF THE GENERATION EACH CELL WAS LAST BORN IN AND HOW MANY
+// TIMES IT'S CHANGED, AND OF THE CELLS THAT DIED IN THE LAST FEW
+// GENERATIONS, OLDEST FIRST. LIVE CELLS WITH NO BIRTH GENERATION HAVE BEEN
+// ALIVE SINCE cellHistoryStart. THE COLOR RAMPS HAVE THE PIXEL VALUES FOR
+// EACH AGE, LEVEL OF ACTIVITY AND TRAIL AGE
+var renderMode;
+var cellBirthGenerations;
+var cellActivity;
+var maxCellActivity;
+var recentDeaths;
+var cellHistoryStart;
+var ageColors;
+var activityColors;
+var trailColors;
+
+// GHOST GRID VARIABLES, MADE BY THE BOARD SO THEY'RE THE SAME SHAPE
 var ghostUpdateGrid;
 var ghostRenderGrid;
 
 // RENDERING VARIABLES
 var cellLength;
 
+// VIEWPORT VARIABLES, i.e. THE WORLD CELL SHOWN IN THE CANVAS'S TOP, LEFT
+// CORNER. THE WORLD IS BIGGER THAN THE CANVAS SO WE ONLY SEE PART OF IT
+var viewportCol;
+var viewportRow;
+
+// WHEN THE USER IS DRAGGING THE VIEW AROUND THIS HOLDS WHERE THE DRAG
+// STARTED, OTHERWISE IT'S null
+var panDrag;
+var suppressNextClick;
+
+// TOUCH VARIABLES. touchPointers HAS WHERE ON THE CANVAS EACH FINGER IS,
+// BY POINTER ID, AND touchGesture IS WHAT THE FINGERS ARE DOING, WHICH IS
+// null WHEN NONE ARE DOWN. lastTouchTime IS WHEN THE LAST ONE CAME UP
+var touchPointers;
+var touchGesture;
+var longPressTimer;
+var lastTouchTime;
+
 // PATTERN PIXELS
 var patterns;
-var cellLookup;
 var imgDir;
+var importedPatternCounter;
+
+// PATTERN ORIENTATION, A 2x2 MATRIX APPLIED TO EACH PATTERN PIXEL
+// WHEN IT'S PLACED, i.e. x' = a*x + b*y AND y' = c*x + d*y
+var patternTransform;
+
+// WHERE THE MOUSE WAS LAST SEEN OVER THE CANVAS, SO THE GHOST
+// PATTERN CAN BE REDRAWN WHEN ITS ORIENTATION CHANGES
+var lastMouseCol;
+var lastMouseRow;
 
 //Add void/Remove void cell variables
-var recordMouseArray;
-var persistentMouseArray = new Array();
 var pressedDown = false;
 
+// EDIT HISTORY VARIABLES, THE EDIT IN PROGRESS IS null
+// WHEN THE USER ISN'T IN THE MIDDLE OF CHANGING THE BOARD
+var undoStack;
+var redoStack;
+var pendingEdit;
+
+// TOOL VARIABLES, tool SAYS WHAT CLICKING AND DRAGGING ON THE CANVAS DOES.
+// WHILE A PENCIL OR ERASER STROKE IS BEING DRAWN strokeCell IS THE LAST
+// CELL IT WENT THROUGH, OTHERWISE IT'S null
+var tool;
+var strokeCell;
+
+// SELECTION VARIABLES. selection IS THE RECTANGLE OF CELLS THAT'S SELECTED,
+// WITH ITS TOP, LEFT CELL AND SIZE, OR null IF NOTHING IS. WHILE IT'S BEING
+// DRAGGED OUT selectionAnchor IS THE CELL THE DRAG STARTED AT. clipboard HAS
+// THE LIVE CELLS LAST COPIED, AS PATTERN PIXELS
+var selection;
+var selectionAnchor;
+var clipboard;
+
+// PATTERN EDITOR VARIABLES. editorCells HAS THE CELLS OF THE PATTERN BEING
+// DRAWN, ROW BY ROW, AND editorCellLength IS HOW BIG THEY'RE DRAWN. WHILE
+// THE PATTERN IS BEING PREVIEWED editorPreviewCells HAS THE GENERATION
+// BEING SHOWN, AND editorPreviewTimer IS THE TIMER FOR THE NEXT ONE
+var editorCanvas;
+var editorCanvas2D;
+var editorImageData;
+var editorPixels;
+var editorCellLength;
+var editorCells;
+var editorPreviewCells;
+var editorPreviewTimer;
+var editorPreviewGeneration;
+
+// KEYBOARD VARIABLES. keyActions LISTS EVERYTHING THAT CAN BE DONE FROM THE
+// KEYBOARD AND keyBindings HAS THE ARRAY OF KEYS EACH ONE IS BOUND TO NOW,
+// BY ACTION NAME. WHILE THE USER IS PICKING A NEW KEY FOR AN ACTION remappingAction
+// IS ITS NAME. keyboardCursor IS THE CELL THE PATTERN IS PLACED AT FROM
+// THE KEYBOARD, WHICH IS null UNTIL THE CURSOR KEYS ARE FIRST USED
+var keyActions;
+var keyBindings;
+var remappingAction;
+var keyboardCursor;
+
 // INITIALIZATION METHODS
 
 /*
@@ -98,9 +295,6 @@ function initGameOfLife()
     // INIT ALL THE GAME-RELATED VARIABLES
     initGameOfLifeData();
 
-    // INIT THE LOOKUP TABLES FOR THE SIMULATION
-    initCellLookup();
-
     // LOAD THE PATTERNS FROM IMAGES
     initPatterns();
 
@@ -116,30 +310,42 @@ function initGameOfLife()
  */
 function initConstants()
 {
-    // THESE REPRESENT THE THREE POSSIBLE STATES FOR EACH CELL
-    DEAD_CELL = 0;
-    LIVE_CELL = 1;
-    BRIGHT_CELL = 2;
-    VOID_CELL = 3;
+    // THE CELL STATES, TOPOLOGIES, ENGINES AND RULE CONSTANTS COME FROM
+    // GameOfLifeCore.js, WHICH SETS THEM UP WHEN IT'S LOADED, AND THE
+    // LIVE, VOID, DYING AND GRID LINES COLORS FROM GameOfLifeColors.js
 
-    // COLORS FOR RENDERING
-    LIVE_COLOR = "#FF0000";
+    // THE PAGE'S OWN COLORS FOR RENDERING
     GHOST_COLOR = "#FFB6C1";
     BRIGHT_COLOR = "#FF2098";
-    VOID_COLOR = "#768FA5";
-    GRID_LINES_COLOR = "#CCCCCC";
-    TEXT_COLOR = "#7777CC";
 
-    // THESE REPRESENT THE DIFFERENT TYPES OF CELL LOCATIONS IN THE GRID
-    TOP_LEFT = 0;
-    TOP_RIGHT = 1;
-    BOTTOM_LEFT = 2;
-    BOTTOM_RIGHT = 3;
-    TOP = 4;
-    BOTTOM = 5;
-    LEFT = 6;
-    RIGHT = 7;
-    CENTER = 8;
+    // THE OTHER RENDER MODES' COLORS, LIVE CELLS GO FROM THE YOUNG COLOR
+    // TO THE OLD ONE AS THEY AGE, CELLS GO FROM THE COLD COLOR TO THE HOT
+    // ONE THE MORE THEY CHANGE, AND TRAILS FADE FROM NEW TO OLD
+    YOUNG_CELL_COLOR = "#FFE040";
+    OLD_CELL_COLOR = "#800000";
+    COLD_CELL_COLOR = "#2040A0";
+    HOT_CELL_COLOR = "#FFF060";
+    NEW_TRAIL_COLOR = "#FF8080";
+    OLD_TRAIL_COLOR = "#FFF0F0";
+    TEXT_COLOR = "#7777CC";
+    SELECTION_COLOR = "#0060FF";
+    CURSOR_COLOR = "#00A040";
+    CENSUS_COLOR = "#00A0A0";
+    UNIDENTIFIED_COLOR = "#FF8000";
+
+    // THESE ARE THE WAYS THE CELLS MAY BE COLORED. CELLS AT LEAST AS OLD
+    // AS THE NUMBER OF AGE COLORS ALL GET THE OLDEST ONE, AND THE CELLS
+    // THAT DIED IN THE LAST TRAIL_LENGTH GENERATIONS LEAVE A TRAIL
+    RENDER_MODE_STATES = "states";
+    RENDER_MODE_AGE = "age";
+    RENDER_MODE_ACTIVITY = "activity";
+    RENDER_MODE_TRAILS = "trails";
+    AGE_COLOR_STEPS = 64;
+    ACTIVITY_COLOR_STEPS = 64;
+    TRAIL_LENGTH = 16;
+
+    // HOW LONG THE BENCHMARK RUNS FOR
+    BENCHMARK_MILLISECONDS = 2000;
 
     // FPS CONSTANTS
     MILLISECONDS_IN_ONE_SECOND = 1000;
@@ -153,11 +359,119 @@ function initConstants()
     CELL_LENGTH_INC = 2;
     GRID_LINE_LENGTH_RENDERING_THRESHOLD = 8;
 
+    // WORLD SIZE CONSTANTS, MEASURED IN CELLS. THE WORLD STAYS THE SAME
+    // SIZE WHATEVER THE CELL LENGTH, SO EVEN ZOOMED ALL THE WAY OUT
+    // ONLY PART OF IT FITS IN THE CANVAS
+    WORLD_WIDTH = 2048;
+    WORLD_HEIGHT = 2048;
+
+    // EACH ARROW KEY PRESS MOVES THE VIEW THIS FRACTION OF THE CANVAS
+    PAN_KEY_FRACTION = 0.125;
+
+    // TOUCH GESTURES. A FINGER THAT STAYS DOWN LONG ENOUGH WITHOUT MOVING
+    // MORE THAN THE SLOP, IN CANVAS PIXELS, SHOWS THE GHOST PATTERN, ONE
+    // THAT MOVES FURTHER IS A DRAG AND TWO FINGERS PINCH AND PAN. THE
+    // CLICK THE BROWSER MAKES UP AFTER A TAP COMES WITHIN THE CLICK DELAY
+    TOUCH_PRESS = "press";
+    TOUCH_PREVIEW = "preview";
+    TOUCH_DRAG = "drag";
+    TOUCH_PINCH = "pinch";
+    LONG_PRESS_DELAY = 500;
+    TOUCH_SLOP = 10;
+    TOUCH_CLICK_DELAY = 800;
+
     // RENDERING LOCATIONS FOR TEXT ON THE CANVAS
     FPS_X = 20;
     FPS_Y = 450;
     CELL_LENGTH_X = 20;
     CELL_LENGTH_Y = 480;
+    RULE_X = 20;
+    RULE_Y = 420;
+    VIEWPORT_X = 20;
+    VIEWPORT_Y = 390;
+
+    // SESSION CONSTANTS, SAVED SESSIONS ARE KEPT IN THE BROWSER'S
+    // LOCAL STORAGE UNDER THIS KEY
+    SESSIONS_STORAGE_KEY = "SeawolfGameOfLife.sessions";
+    SESSION_FORMAT_VERSION = 1;
+
+    // PATTERNS SAVED FROM THE BOARD ARE KEPT IN LOCAL STORAGE TOO. THEIR
+    // KEYS IN THE PATTERNS DROP DOWN LIST START WITH THE PREFIX, AND THE
+    // CLIPBOARD IS PASTED USING A PATTERN OF ITS OWN
+    SAVED_PATTERNS_STORAGE_KEY = "SeawolfGameOfLife.patterns";
+    SAVED_PATTERN_KEY_PREFIX = "saved:";
+    CLIPBOARD_PATTERN_KEY = "clipboard";
+
+    // THESE ARE THE TOOLS FOR EDITING THE BOARD. THE STAMP TOOL PLACES THE
+    // SELECTED PATTERN, THE SELECT TOOL DRAGS OUT A RECTANGLE OF CELLS, AND
+    // THE PENCIL AND ERASER BRING CELLS TO LIFE AND KILL THEM AS THEY'RE
+    // DRAGGED OVER THEM
+    TOOL_STAMP = "stamp";
+    TOOL_SELECT = "select";
+    TOOL_PENCIL = "pencil";
+    TOOL_ERASER = "eraser";
+
+    // THE FRACTION OF CELLS A RANDOM FILL MAKES LIVE
+    RANDOM_FILL_DENSITY = 0.5;
+
+    // THE PATTERN EDITOR'S GRID SIZE, IN CELLS, AND ITS BACKGROUND
+    EDITOR_COLS = 24;
+    EDITOR_ROWS = 24;
+    EDITOR_BACKGROUND_COLOR = "#FFFFFF";
+
+    // KEYS THE USER HAS REMAPPED ARE KEPT IN LOCAL STORAGE
+    KEY_BINDINGS_STORAGE_KEY = "SeawolfGameOfLife.keys";
+
+    // EDIT HISTORY CONSTANTS
+    MAX_UNDO_STEPS = 100;
+
+    // STEP N RUNS ON THE PAGE, SO IT CAN'T BE ASKED FOR SO MANY
+    // GENERATIONS THAT THE PAGE STOPS RESPONDING
+    MAX_STEP_COUNT = 1000;
+
+    // GENERATION HISTORY CONSTANTS, WE KEEP AT MOST THIS MANY GENERATIONS
+    // AND AT MOST THIS MANY CHANGED CELLS ACROSS ALL OF THEM
+    MAX_GENERATION_HISTORY = 500;
+    MAX_GENERATION_HISTORY_CELLS = 5000000;
+
+    // STATISTICS CONSTANTS, THE CSV EXPORT HAS AT MOST THIS MANY GENERATIONS
+    // AND THE POPULATION CHART IS DRAWN IN THESE COLORS
+    MAX_STATISTICS_SAMPLES = 100000;
+    CHART_LINE_COLOR = "#990000";
+    CHART_BACKGROUND_COLOR = "#FFFFFF";
+
+    // CYCLE DETECTION CONSTANTS, WE REMEMBER THIS MANY GENERATIONS' HASHES,
+    // SO THAT'S THE LONGEST PERIOD WE CAN FIND, AND THE SEEDS MAKE THE TWO
+    // HALVES OF A HASH DIFFERENT
+    MAX_CYCLE_PERIOD = 1000;
+    HASH_SEED_LOW = 0x2545F491;
+    HASH_SEED_HIGH = 0x6C8E9CF5;
+
+    // CENSUS CONSTANTS. LIVE CELLS UP TO THIS MANY CELLS APART SHARE A
+    // NEIGHBOR, SO THEY'RE COUNTED AS PART OF THE SAME OBJECT. THE KNOWN
+    // OBJECTS ARE GIVEN IN ONE PHASE, THE OTHERS ARE FOUND BY RUNNING THEM
+    // FOR THEIR PERIOD UNDER CONWAY'S RULE
+    CENSUS_RADIUS = 2;
+    KNOWN_OBJECTS = new Array(
+        new KnownObject("Block", 1, [0,0, 1,0, 0,1, 1,1]),
+        new KnownObject("Beehive", 1, [1,0, 2,0, 0,1, 3,1, 1,2, 2,2]),
+        new KnownObject("Loaf", 1, [1,0, 2,0, 0,1, 3,1, 1,2, 3,2, 2,3]),
+        new KnownObject("Boat", 1, [0,0, 1,0, 0,1, 2,1, 1,2]),
+        new KnownObject("Ship", 1, [0,0, 1,0, 0,1, 2,1, 1,2, 2,2]),
+        new KnownObject("Long Boat", 1, [0,0, 1,0, 0,1, 2,1, 1,2, 3,2, 2,3]),
+        new KnownObject("Tub", 1, [1,0, 0,1, 2,1, 1,2]),
+        new KnownObject("Pond", 1, [1,0, 2,0, 0,1, 3,1, 0,2, 3,2, 1,3, 2,3]),
+        new KnownObject("Blinker", 2, [0,0, 1,0, 2,0]),
+        new KnownObject("Toad", 2, [1,0, 2,0, 3,0, 0,1, 1,1, 2,1]),
+        new KnownObject("Beacon", 2, [0,0, 1,0, 0,1, 1,1, 2,2, 3,2, 2,3, 3,3]),
+        new KnownObject("Glider", 4, [1,0, 2,1, 0,2, 1,2, 2,2]),
+        new KnownObject("Lightweight Spaceship", 4, [1,0, 4,0, 0,1, 0,2, 4,2, 0,3, 1,3, 2,3, 3,3]));
+
+    // THE SCRIPT THE SIMULATION WORKER RUNS
+    SIMULATION_WORKER_URL = "./js/GameOfLifeWorker.js";
+
+    // SHOWN WHEN THE UNBOUNDED ENGINE TURNS DOWN A RULE WITH B0 IN IT
+    ENGINE_B0_MESSAGE = "The unbounded engine can't use a rule where cells are born with 0 neighbors";
 }
 
 /*
@@ -172,12 +486,28 @@ function initCanvas()
     //GET THE GHOST CANVAS
     ghostCanvas = document.getElementById("ghost_canvas");
 
+    // AND THE ONE THE GRID LINES GO ON
+    gridLinesCanvas = document.getElementById("grid_lines_canvas");
+    gridLinesCanvas2D = gridLinesCanvas.getContext("2d");
+    gridLinesCellLength = -1;
+
     // GET THE 2D RENDERING CONTEXT
     canvas2D = canvas.getContext("2d");
 
     //GET THE 2D Rendering Context of Ghost Canvas
     ghostCanvas2D = ghostCanvas.getContext("2d");
 
+    // AND THE ONE FOR THE POPULATION CHART IN THE STATISTICS PANEL
+    chartCanvas = document.getElementById("population_chart_canvas");
+    chartCanvas2D = chartCanvas.getContext("2d");
+
+    // AND THE PATTERN EDITOR'S, WHICH IS RENDERED LIKE THE GAME CANVAS
+    editorCanvas = document.getElementById("pattern_editor_canvas");
+    editorCanvas2D = editorCanvas.getContext("2d");
+    editorImageData = editorCanvas2D.createImageData(editorCanvas.width, editorCanvas.height);
+    editorPixels = new Uint32Array(editorImageData.data.buffer);
+    editorCellLength = Math.floor(Math.min(editorCanvas.width / EDITOR_COLS, editorCanvas.height / EDITOR_ROWS));
+
     // INIT THE FONT FOR TEXT RENDERED ON THE CANVAS. NOTE
     // THAT WE'LL BE RENDERING THE FRAME RATE AND ZOOM LEVEL
     // ON THE CANVAS
@@ -188,6 +518,26 @@ function initCanvas()
     // THE CANVAS IS SIZED
     canvasWidth = canvas.width;
     canvasHeight = canvas.height;
+
+    // THE CELLS ARE RENDERED INTO THIS, A PIXEL AT A TIME
+    cellImageData = canvas2D.createImageData(canvasWidth, canvasHeight);
+    cellPixels = new Uint32Array(cellImageData.data.buffer);
+}
+
+/*
+ * This function works out the pixel value each kind of cell is rendered
+ * with. Only live, void and dying cells are rendered, and only the dying
+ * states the active rule has get colors.
+ */
+function initCellColors()
+{
+    // THE STATES ARE COLORED THE SAME AS ON EVERY GameOfLifeBoard
+    cellColors = createCellColors(parseRuleString(board.getRule()).states);
+
+    // THE OTHER RENDER MODES' COLORS FADE FROM ONE COLOR TO ANOTHER
+    ageColors = createColorRamp(YOUNG_CELL_COLOR, OLD_CELL_COLOR, AGE_COLOR_STEPS);
+    activityColors = createColorRamp(COLD_CELL_COLOR, HOT_CELL_COLOR, ACTIVITY_COLOR_STEPS);
+    trailColors = createColorRamp(NEW_TRAIL_COLOR, OLD_TRAIL_COLOR, TRAIL_LENGTH);
 }
 
 /*
@@ -199,71 +549,68 @@ function initGameOfLifeData()
 {
     // INIT THE TIMING DATA
     timer = null;
+    updateTimer = null;
+    renderNeeded = false;
+
+    // THE WORKER IS STARTED THE FIRST TIME IT'S NEEDED
+    simulationWorker = null;
+    useSimulationWorker = (typeof Worker !== "undefined");
+    simulationEpoch = 0;
+    simulationChanged = false;
+    unsentStrokeCells = { indices: new Array(), cells: new Array() };
+    strokeCellsVersion = 0;
+    unacknowledgedStrokeCells = new Array();
     fps = MAX_FPS;
     frameInterval = MILLISECONDS_IN_ONE_SECOND/fps;
 
     // INIT THE CELL LENGTH
     cellLength = MIN_CELL_LENGTH;
-}
-
-/*
- * This function returns a JavaScript object, which is kind of like
- * a C struct in that it only has data. There are 9 different types of
- * cells in the grid, and so we use 9 CellType objects to store which
- * adjacent cells need to be checked when running the simulation.
- */
-function CellType(initNumNeighbors, initCellValues)
-{
-    this.numNeighbors = initNumNeighbors;
-    this.cellValues = initCellValues;
-}
-
-/*
- * This function initializes the 9 CellType objects that serve
- * as a lookup table for when we are running the simulation so
- * that we know which neighboring cells have to be examined for
- * determining the next frame's state for a given cell.
- */
-function initCellLookup()
-{
-    // WE'LL PUT ALL THE VALUES IN HERE
-    cellLookup = new Array();
 
-    // TOP LEFT
-    var topLeftArray        = new Array( 1, 0,  1,  1,  0,  1);
-    cellLookup[TOP_LEFT]    = new CellType(3, topLeftArray);
-
-    // TOP RIGHT
-    var topRightArray       = new Array(-1, 0, -1,  1,  0,  1);
-    cellLookup[TOP_RIGHT]   = new CellType(3, topRightArray);
-
-    // BOTTOM LEFT
-    var bottomLeftArray     = new Array( 1, 0,  1, -1, 0, -1);
-    cellLookup[BOTTOM_LEFT] = new CellType(3, bottomLeftArray);
-
-    // BOTTOM RIGHT
-    var bottomRightArray    = new Array(-1, 0, -1, -1, 0, -1);
-    cellLookup[BOTTOM_RIGHT]= new CellType(3, bottomRightArray);
-
-    // TOP
-    var topArray            = new Array(-1, 0, -1, 1, 0, 1, 1, 1, 1, 0);
-    cellLookup[TOP]         = new CellType(5, topArray);
-
-    // BOTTOM
-    var bottomArray         = new Array(-1, 0, -1, -1, 0, -1, 1, -1, 1, 0);
-    cellLookup[BOTTOM]      = new CellType(5, bottomArray);
-
-    // LEFT
-    var leftArray           = new Array(0, -1, 1, -1, 1, 0, 1, 1, 0, 1);
-    cellLookup[LEFT]        = new CellType(5, leftArray);
-
-    // RIGHT
-    var rightArray          = new Array(0, -1, -1, -1, -1, 0, -1, 1, 0, 1);
-    cellLookup[RIGHT]       = new CellType(5, rightArray);
-
-    // CENTER
-    var centerArray         = new Array(-1, -1, -1, 0, -1, 1, 0, 1, 1, 1, 1, 0, 1, -1, 0, -1);
-    cellLookup[CENTER]      = new CellType(8, centerArray);
+    // AND START OUT LOOKING AT THE TOP, LEFT CORNER OF THE WORLD
+    viewportCol = 0;
+    viewportRow = 0;
+    panDrag = null;
+    suppressNextClick = false;
+    touchPointers = new Map();
+    touchGesture = null;
+    longPressTimer = null;
+    lastTouchTime = 0;
+
+    // NO CENSUS HAS BEEN TAKEN
+    census = null;
+
+    // START OUT WITH CONWAY'S RULE ON A FLAT GRID, USING THE DENSE ENGINE
+    board = createWorld({ width: WORLD_WIDTH,
+                          height: WORLD_HEIGHT,
+                          rule: DEFAULT_RULE,
+                          topology: TOPOLOGY_PLANE,
+                          engine: ENGINE_DENSE });
+    initCellColors();
+    syncRuleControls();
+
+    // AND NOTHING TO UNDO
+    undoStack = new Array();
+    redoStack = new Array();
+    pendingEdit = null;
+
+    // SHOWING THE CELL STATES
+    renderMode = RENDER_MODE_STATES;
+
+    // STAMPING PATTERNS, WITH NOTHING SELECTED OR COPIED
+    tool = TOOL_STAMP;
+    strokeCell = null;
+    selection = null;
+    selectionAnchor = null;
+    clipboard = null;
+
+    // AND AN EMPTY PATTERN EDITOR
+    editorCells = new Uint8Array(EDITOR_COLS * EDITOR_ROWS);
+    editorPreviewCells = null;
+    editorPreviewTimer = null;
+    editorPreviewGeneration = 0;
+
+    // AND NO GENERATIONS HASHED YET
+    resetCycleDetection();
 }
 
 /*
@@ -272,7 +619,9 @@ function initCellLookup()
  * the images listed in the drop-down list, and then examining
  * the contents of those images, considering anything that is
  * not white as a "LIVE_CELL". Note that this allows us to
- * easily add any new image we like as a pattern.
+ * easily add any new image we like as a pattern. Files in the
+ * list that end in .rle, .cells, .lif or .life are read as
+ * pattern text files instead.
  */
 function initPatterns()
 {
@@ -281,6 +630,12 @@ function initPatterns()
 
     // THIS WILL STORE ALL THE PATTERNS IN AN ASSOCIATIVE ARRAY
     patterns = new Array();
+    importedPatternCounter = 0;
+
+    // PATTERNS START OUT THE WAY THEY WERE DRAWN
+    patternTransform = { a: 1, b: 0, c: 0, d: 1 };
+    lastMouseCol = null;
+    lastMouseRow = null;
 
     // GET THE DROP DOWN LIST
     var patternsList = document.getElementById("game_of_life_patterns");
@@ -293,13 +648,30 @@ function initPatterns()
         var key = patternsList.options[i].value;
         var pixelArray = new Array();
 
-        // NOW LOAD THE DATA FROM THE IMAGE
-        loadOffscreenImage(key, pixelArray);
+        // NOW LOAD THE DATA FROM THE IMAGE OR PATTERN FILE
+        if (detectPatternFormat("", key) !== null)
+        {
+            loadPatternFile(key, pixelArray);
+        }
+        else
+        {
+            loadOffscreenImage(key, pixelArray);
+        }
 
         // AND PUT THE DATA IN THE ASSOCIATIVE ARRAY,
         // BY KEY
         patterns[key] = pixelArray;
     }
+
+    // AND ADD THE PATTERNS SAVED FROM THE BOARD, LEAVING
+    // THE FIRST PATTERN SELECTED
+    var savedPatterns = loadSavedPatterns();
+    var names = Object.keys(savedPatterns).sort();
+    for (var i = 0; i < names.length; i++)
+    {
+        addPatternToList(SAVED_PATTERN_KEY_PREFIX + names[i], names[i], savedPatterns[names[i]]);
+    }
+    patternsList.selectedIndex = 0;
 }
 
 /*
@@ -311,21 +683,96 @@ function initEventHandlers()
     // WE'LL RESPOND TO MOUSE CLICKS ON THE CANVAS
     canvas.onclick = respondToMouseClick;
 
-    //Respond to mouse movement on the canvas
-    canvas.onmousemove = respondToMouseMove;
+    // POINTER EVENTS COVER THE MOUSE, PENS AND TOUCH SCREENS ALIKE,
+    // BROWSERS WITHOUT THEM ONLY GET THE MOUSE
+    if (window.PointerEvent !== undefined)
+    {
+        canvas.onpointerdown = respondToPointerDown;
+        canvas.onpointermove = respondToPointerMove;
+        canvas.onpointerup = respondToPointerUp;
+        canvas.onpointercancel = respondToPointerUp;
+    }
+    else
+    {
+        //Respond to mouse movement on the canvas
+        canvas.onmousemove = respondToMouseMove;
+
+        //Record mouse movement for click and drag effect
+        canvas.onmousedown = respondToMouseDown;
+        canvas.onmouseup = respondToMouseUp;
+    }
 
-    //Record mouse movement for click and drag effect
-    canvas.onmousedown = respondToMouseDown;
-    canvas.onmouseup = respondToMouseUp;
+    //Zoom in and out around the mouse with the mouse wheel
+    canvas.onwheel = respondToMouseWheel;
 
     // AND ALL THE APP'S BUTTONS
     document.getElementById("start_button").onclick=startGameOfLife;
     document.getElementById("pause_button").onclick=pauseGameOfLife;
-    document.getElementById("reset_button").onclick=resetGameOfLife;
+    document.getElementById("reset_button").onclick=respondToResetButton;
+    document.getElementById("step_button").onclick=respondToStep;
+    document.getElementById("step_back_button").onclick=respondToStepBack;
+    document.getElementById("step_n_button").onclick=respondToStepN;
     document.getElementById("dec_fps_button").onclick=decFPS;
     document.getElementById("inc_fps_button").onclick=incFPS;
     document.getElementById("dec_cell_length_button").onclick=decCellLength;
     document.getElementById("inc_cell_length_button").onclick=incCellLength;
+    document.getElementById("undo_button").onclick=undoEdit;
+    document.getElementById("redo_button").onclick=redoEdit;
+    document.getElementById("rotate_button").onclick=rotatePattern;
+    document.getElementById("flip_horizontal_button").onclick=flipPatternHorizontally;
+    document.getElementById("flip_vertical_button").onclick=flipPatternVertically;
+    document.getElementById("rule_presets").onchange=respondToRulePresetChange;
+    document.getElementById("set_rule_button").onclick=respondToSetRule;
+    document.getElementById("rule_textfield").onkeydown=respondToRuleKeyDown;
+    document.getElementById("topology_select").onchange=respondToTopologyChange;
+    document.getElementById("engine_select").onchange=respondToEngineChange;
+    document.getElementById("render_mode_select").onchange=respondToRenderModeChange;
+    document.getElementById("tool_select").onchange=respondToToolChange;
+
+    // AND THE SELECTION CONTROLS
+    document.getElementById("copy_button").onclick=copySelection;
+    document.getElementById("cut_button").onclick=cutSelection;
+    document.getElementById("paste_button").onclick=pasteClipboard;
+    document.getElementById("delete_selection_button").onclick=deleteSelection;
+    document.getElementById("fill_random_button").onclick=fillSelectionRandomly;
+    document.getElementById("save_selection_button").onclick=saveSelectionAsPattern;
+    updateSelectionButtons();
+
+    // AND THE PATTERN EDITOR
+    editorCanvas.onclick = respondToEditorClick;
+    document.getElementById("editor_load_button").onclick=respondToEditorLoad;
+    document.getElementById("editor_clear_button").onclick=respondToEditorClear;
+    document.getElementById("editor_preview_button").onclick=respondToEditorPreview;
+    document.getElementById("editor_save_button").onclick=respondToEditorSave;
+    document.getElementById("editor_export_button").onclick=respondToEditorExport;
+    renderPatternEditor();
+
+    // AND THE PATTERN IMPORT/EXPORT CONTROLS
+    document.getElementById("import_pattern_button").onclick=respondToImportPattern;
+    document.getElementById("export_rle_button").onclick=respondToExportRLE;
+    document.getElementById("pattern_file_input").onchange=respondToPatternFileSelected;
+
+    // AND THE SAVED SESSION CONTROLS
+    document.getElementById("save_session_button").onclick=respondToSaveSession;
+    document.getElementById("load_session_button").onclick=respondToLoadSession;
+    document.getElementById("delete_session_button").onclick=respondToDeleteSession;
+    document.getElementById("rename_session_button").onclick=respondToRenameSession;
+    document.getElementById("download_session_button").onclick=respondToDownloadSession;
+    document.getElementById("session_file_input").onchange=respondToSessionFileSelected;
+    refreshSessionSlotsList();
+
+    // AND THE STATISTICS PANEL
+    document.getElementById("export_statistics_button").onclick=respondToExportStatistics;
+    document.getElementById("benchmark_button").onclick=respondToBenchmark;
+    document.getElementById("census_button").onclick=respondToCensus;
+
+    // AND THE KEYBOARD, WITH ITS HELP OVERLAY
+    initKeyboard();
+    document.onkeydown = respondToKeyDown;
+    document.getElementById("key_help_button").onclick=toggleKeyHelp;
+    document.getElementById("key_help_close_button").onclick=toggleKeyHelp;
+    document.getElementById("reset_keys_button").onclick=respondToResetKeys;
+    updateUndoRedoButtons();
 }
 
 /*
@@ -352,6 +799,26 @@ function loadOffscreenImage(imgName, pixelArray)
     img.src = path + imgDir + imgName;
 }
 
+/*
+ * This function loads a pattern text file, in any of the formats
+ * PatternFormats.js knows, and then fills the pixelArray argument
+ * with the coordinates of its live cells.
+ */
+function loadPatternFile(fileName, pixelArray)
+{
+    // LIKE IMAGES, THE FILE LOADS IN THE BACKGROUND AND
+    // WE RESPOND WHEN IT'S DONE
+    var request = new XMLHttpRequest();
+    request.onload = function() { respondToLoadedPatternFile(fileName, request.responseText, pixelArray); };
+
+    // PATTERN FILES LIVE WITH THE IMAGES
+    var path = document.URL;
+    var indexLocation = path.indexOf("index.html");
+    path = path.substring(0, indexLocation);
+    request.open("GET", path + imgDir + fileName);
+    request.send();
+}
+
 //HELPER FUNCTIONS
 
 /*
@@ -365,63 +832,42 @@ function getSelectedPattern(){
 }
 
 /*
- * Places the cells onto the correct grid
+ * Gets the pixels of the pattern selected in the drop down, turned
+ * to the orientation picked with the rotate and flip controls.
  */
-function placeOnGrid(pixels, clickCol, clickRow, cellType, ghostFlag)
+function getSelectedPixels()
 {
-    if(ghostFlag){
-        // GO THROUGH ALL THE PIXELS IN THE PATTERN AND PUT THEM IN THE GRID
-        for (var i = 0; i < pixels.length; i += 2) {
-            var col = clickCol + pixels[i];
-            var row = clickRow + pixels[i + 1];
-            setGridCell(ghostRenderGrid, row, col, cellType);
-            setGridCell(ghostUpdateGrid, row, col, cellType);
-        }
-    } else {
-        // GO THROUGH ALL THE PIXELS IN THE PATTERN AND PUT THEM IN THE GRID
-        for (var i = 0; i < pixels.length; i += 2) {
-            var col = clickCol + pixels[i];
-            var row = clickRow + pixels[i + 1];
+    return transformPattern(patterns[getSelectedPattern()]);
+}
 
-            var cell = getGridCell(persistentMouseArray, row, col);
-            if(cell === VOID_CELL){
-                continue;
-            } else if(cell == DEAD_CELL){
-                setGridCell(renderGrid, row, col, DEAD_CELL);
-                setGridCell(updateGrid, row, col, DEAD_CELL);
-            } else {
-                setGridCell(renderGrid, row, col, LIVE_CELL);
-                setGridCell(updateGrid, row, col, LIVE_CELL);
-            }
-        }
+/*
+ * Places the cells onto the ghost grid, which shows where the pattern
+ * would go. Note that on a wrapping topology a pattern placed near an
+ * edge continues on the other side.
+ */
+function placeGhostCells(pixels, clickCol, clickRow)
+{
+    // GO THROUGH ALL THE PIXELS IN THE PATTERN AND PUT THEM IN THE GRID
+    for (var i = 0; i < pixels.length; i += 2) {
+        var col = board.wrapCol(clickCol + pixels[i]);
+        var row = board.wrapRow(clickRow + pixels[i + 1]);
+        board.setGridCell(ghostRenderGrid, row, col, GHOST_CELL);
+        board.setGridCell(ghostUpdateGrid, row, col, GHOST_CELL);
     }
 }
 
 /*
- * Place the cells in the recorded mouse array
+ * Makes the cells of the pattern void cells, or if isVoid is false
+ * makes the void cells among them dead again
  */
-function placeInMouseArray(pixels, clickCol, clickRow, cellType)
+function placeVoidCells(pixels, clickCol, clickRow, isVoid)
 {
     // GO THROUGH ALL THE PIXELS IN THE PATTERN AND PUT THEM IN THE GRID
     for (var i = 0; i < pixels.length; i += 2) {
-        var col = clickCol + pixels[i];
-        var row = clickRow + pixels[i + 1];
-        var currentCell = getGridCell(renderGrid, row, col);
-        if(cellType === VOID_CELL){
-            setGridCell(recordMouseArray, row, col, VOID_CELL);
-            setGridCell(persistentMouseArray, row, col, VOID_CELL);
-        } else if(cellType === DEAD_CELL){
-            if(currentCell === LIVE_CELL){
-                setGridCell(recordMouseArray, row, col, LIVE_CELL);
-                setGridCell(persistentMouseArray, row, col, LIVE_CELL);
-            } else if(currentCell === VOID_CELL){
-                setGridCell(recordMouseArray, row, col, DEAD_CELL);
-                setGridCell(persistentMouseArray, row, col, DEAD_CELL);
-            } else {
-                setGridCell(recordMouseArray, row, col, DEAD_CELL);
-                setGridCell(persistentMouseArray, row, col, DEAD_CELL);
-            }
-        }
+        var col = board.wrapCol(clickCol + pixels[i]);
+        var row = board.wrapRow(clickRow + pixels[i + 1]);
+        recordCellForEdit(row, col);
+        board.setVoid(col, row, isVoid);
     }
 }
 
@@ -477,37 +923,107 @@ function respondToLoadedImage(imgName, img, pixelArray)
 }
 
 /*
- * When the mouse is pressed down, creates a new array and adds
- * the current location of the mouse with the void cell. Calls
+ * This method is called in response to a pattern text file having completed
+ * loading. We parse it and keep its live cell coordinates in our patterns
+ * array, just like respondToLoadedImage does with the non-white pixels of
+ * an image, so the pattern stamps, ghosts and flashes like any other. A
+ * file that can't be parsed is taken out of the drop down list.
+ */
+function respondToLoadedPatternFile(fileName, text, pixelArray)
+{
+    var pattern;
+    try
+    {
+        pattern = parsePattern(text, fileName);
+    }
+    catch (error)
+    {
+        setPatternIOStatus("Couldn't load pattern " + fileName + ": " + error.message, true);
+        removePatternFromList(fileName);
+        return;
+    }
+
+    // STORE THE COORDINATES OF THE LIVE CELLS
+    for (var i = 0; i < pattern.pixels.length; i++)
+    {
+        pixelArray[i] = pattern.pixels[i];
+    }
+}
+
+/*
+ * This function takes the pattern with the key argument out of the
+ * patterns drop down list, and forgets its cells.
+ */
+function removePatternFromList(key)
+{
+    var patternsList = document.getElementById("game_of_life_patterns");
+    for (var i = 0; i < patternsList.options.length; i++)
+    {
+        if (patternsList.options[i].value === key)
+        {
+            patternsList.removeChild(patternsList.options[i]);
+            break;
+        }
+    }
+    delete patterns[key];
+}
+
+/*
+ * When the mouse is pressed down, starts adding or removing void
+ * cells at the current location of the mouse. Calls
  * respondToMouseMove in order to record the cells where the mouse goes.
  */
 function respondToMouseDown(event)
 {
-    //Initialize a new array to add to
-    recordMouseArray = new Array();
+    // DRAGGING WITH THE MIDDLE BUTTON, OR WITH SHIFT HELD
+    // DOWN, MOVES THE VIEW INSTEAD OF EDITING
+    if ((event.button === 1) || event.shiftKey)
+    {
+        startPanDrag(event);
+        return;
+    }
+
+    // THE SELECT TOOL DRAGS OUT A RECTANGLE INSTEAD OF EDITING
+    if (tool === TOOL_SELECT)
+    {
+        startSelection(getEventCell(event));
+        return;
+    }
+
+    // AND THE PENCIL AND ERASER START A STROKE
+    if ((tool === TOOL_PENCIL) || (tool === TOOL_ERASER))
+    {
+        startStroke(getEventCell(event));
+        return;
+    }
+
     //Flag to know that the mouse began with a mouse down
     pressedDown = true;
 
+    // EVERYTHING FROM HERE UNTIL THE CLICK, i.e. A STAMP OR A
+    // WHOLE VOID CELL DRAG STROKE, IS UNDONE AS ONE EDIT
+    beginEdit();
+
     // GET THE PATTERN SELECTED IN THE DROP DOWN LIST
     var selectedPattern = getSelectedPattern();
 
     // CALCULATE THE ROW,COL OF THE CLICK
-    var canvasCoords = getRelativeCoords(event);
-    var clickCol = Math.floor(canvasCoords.x/cellLength);
-    var clickRow = Math.floor(canvasCoords.y/cellLength);
+    var clickCell = getEventCell(event);
+    var clickCol = clickCell.col;
+    var clickRow = clickCell.row;
 
     // LOAD THE COORDINATES OF THE PIXELS TO DRAW
-    var pixels = patterns[selectedPattern];
+    var pixels = getSelectedPixels();
 
     //If void cell is selected
     if(selectedPattern === "VoidCell.png") {
         // GO THROUGH ALL THE PIXELS IN THE PATTERN AND PUT THEM IN THE GRID
-        placeInMouseArray(pixels, clickCol, clickRow, VOID_CELL);
+        placeVoidCells(pixels, clickCol, clickRow, true);
         brightFeedback(pixels, clickCol, clickRow);
 
     } else if(selectedPattern === "RemoveVoidCell.png"){
         // GO THROUGH ALL THE PIXELS IN THE PATTERN AND PUT THEM IN THE GRID
-        placeInMouseArray(pixels, clickCol, clickRow, DEAD_CELL);
+        placeVoidCells(pixels, clickCol, clickRow, false);
         brightFeedback(pixels, clickCol, clickRow);
     }
 }
@@ -519,33 +1035,69 @@ function respondToMouseDown(event)
  */
 function respondToMouseClick(event)
 {
+    // THE CLICK AT THE END OF A DRAG OF THE VIEW ISN'T AN EDIT
+    if (suppressNextClick)
+    {
+        suppressNextClick = false;
+        return;
+    }
+
+    // NOR IS THE ONE THE BROWSER MAKES UP AFTER A TAP, WHICH
+    // WAS ALREADY TAKEN CARE OF WHEN THE FINGER CAME UP
+    if ((event.type === "click") && ((Date.now() - lastTouchTime) < TOUCH_CLICK_DELAY))
+    {
+        return;
+    }
+
+    // ONLY THE STAMP TOOL DOES ANYTHING WITH A CLICK, THE
+    // OTHERS DID WHAT THEY DO WHEN THE MOUSE WENT DOWN
+    if (tool !== TOOL_STAMP)
+    {
+        return;
+    }
     pressedDown = false;
+
+    // CALCULATE THE ROW,COL OF THE CLICK
+    var clickCell = getEventCell(event);
+
+    // PUT THE PATTERN THERE
+    placeSelectedPattern(clickCell.col, clickCell.row);
+
+    // THE EDIT THAT STARTED WITH THE MOUSE DOWN IS DONE
+    commitEdit();
+}
+
+/*
+ * This function puts the pattern selected in the drop down list in the
+ * grid with its top, left corner at (clickCol, clickRow), which is what
+ * a click or the keyboard's place key does. The void cell patterns make
+ * and remove void cells, the rest make live cells. The caller looks
+ * after the edit history.
+ */
+function placeSelectedPattern(clickCol, clickRow)
+{
     // GET THE PATTERN SELECTED IN THE DROP DOWN LIST
     var selectedPattern = getSelectedPattern();
 
     // LOAD THE COORDINATES OF THE PIXELS TO DRAW
-    var pixels = patterns[selectedPattern];
-
-    // CALCULATE THE ROW,COL OF THE CLICK
-    var canvasCoords = getRelativeCoords(event);
-    var clickCol = Math.floor(canvasCoords.x/cellLength);
-    var clickRow = Math.floor(canvasCoords.y/cellLength);
+    var pixels = getSelectedPixels();
 
     //If void cell is selected
     if(selectedPattern === "VoidCell.png"){
         // GO THROUGH ALL THE PIXELS IN THE PATTERN AND PUT THEM IN THE GRID
-        placeOnGrid(pixels, clickCol, clickRow, VOID_CELL, 0);
+        placeVoidCells(pixels, clickCol, clickRow, true);
         brightFeedback(pixels, clickCol, clickRow);
     } else if(selectedPattern === "RemoveVoidCell.png"){
         // GO THROUGH ALL THE PIXELS IN THE PATTERN AND PUT THEM IN THE GRID
-        placeOnGrid(pixels, clickCol, clickRow, DEAD_CELL, 0);
+        placeVoidCells(pixels, clickCol, clickRow, false);
         brightFeedback(pixels, clickCol, clickRow);
     } else {
-        // GO THROUGH ALL THE PIXELS IN THE PATTERN AND PUT THEM IN THE GRID
-        placeOnGrid(pixels, clickCol, clickRow, LIVE_CELL, 0);
-
-        //Flash of bright pink when placed on canvas
+        //Flash of bright pink when placed on canvas, which also
+        //remembers the cells for the edit before they change
         brightFeedback(pixels, clickCol, clickRow);
+
+        // THE BOARD LEAVES VOID CELLS ALONE
+        board.place(pixels, clickCol, clickRow);
     }
 }
 
@@ -558,38 +1110,84 @@ function respondToMouseMove(event)
 {
     //Reset the ghost canvas to have a blank canvas
     resetGhostCanvas();
+
+    // IF THE VIEW IS BEING DRAGGED, THAT'S ALL WE DO
+    if (panDrag !== null)
+    {
+        continuePanDrag(event);
+        return;
+    }
+
+    // THE SELECT TOOL HAS NO GHOST, IT ONLY FOLLOWS THE DRAG
+    if (tool === TOOL_SELECT)
+    {
+        var selectCell = getEventCell(event);
+        lastMouseCol = selectCell.col;
+        lastMouseRow = selectCell.row;
+        if (selectionAnchor !== null)
+        {
+            continueSelection(selectCell);
+        }
+        return;
+    }
+
+    // THE PENCIL AND ERASER DRAW ALONG THE WAY THE MOUSE WENT, OR
+    // WHEN THEY'RE NOT DRAWING SHOW THE CELL THEY'RE OVER AS A GHOST
+    if ((tool === TOOL_PENCIL) || (tool === TOOL_ERASER))
+    {
+        var drawCell = getEventCell(event);
+        lastMouseCol = drawCell.col;
+        lastMouseRow = drawCell.row;
+        if ((strokeCell !== null) && (event.buttons === 0))
+        {
+            // THE BUTTON WAS LET GO OUTSIDE THE CANVAS
+            finishStroke();
+        }
+        else if (strokeCell !== null)
+        {
+            continueStroke(drawCell);
+        }
+        else
+        {
+            placeGhostCells([0, 0], drawCell.col, drawCell.row);
+            renderGhostCells();
+        }
+        return;
+    }
     // GET THE PATTERN SELECTED IN THE DROP DOWN LIST
     var selectedPattern = getSelectedPattern();
 
     // LOAD THE COORDINATES OF THE PIXELS
-    var pixels = patterns[selectedPattern];
+    var pixels = getSelectedPixels();
 
     // CALCULATE THE ROW,COL OF THE MOUSE
-    var canvasCoords = getRelativeCoords(event);
-    var mouseCol = Math.floor(canvasCoords.x/cellLength);
-    var mouseRow = Math.floor(canvasCoords.y/cellLength);
+    var mouseCell = getEventCell(event);
+    var mouseCol = mouseCell.col;
+    var mouseRow = mouseCell.row;
+    lastMouseCol = mouseCol;
+    lastMouseRow = mouseRow;
 
     // If void cell is selected record where the mouse goes
     if(selectedPattern === "VoidCell.png"){
         if(pressedDown === true){
             //GO THROUGH ALL THE PIXELS IN THE PATTERN AND PUT THEM IN THE GRID
-            placeInMouseArray(pixels, mouseCol, mouseRow, VOID_CELL);
+            placeVoidCells(pixels, mouseCol, mouseRow, true);
             brightFeedback(pixels, mouseCol, mouseRow);
         } else {
-            placeOnGrid(pixels, mouseCol, mouseRow, GHOST_CELL, 1);
+            placeGhostCells(pixels, mouseCol, mouseRow);
         }
     } else if(selectedPattern === "RemoveVoidCell.png"){
         if(pressedDown === true){
             //GO THROUGH ALL THE PIXELS IN THE PATTERN AND PUT THEM IN THE GRID
-            placeInMouseArray(pixels, mouseCol, mouseRow, DEAD_CELL);
+            placeVoidCells(pixels, mouseCol, mouseRow, false);
             brightFeedback(pixels, mouseCol, mouseRow);
         } else {
-            placeOnGrid(pixels, mouseCol, mouseRow, GHOST_CELL, 1);
+            placeGhostCells(pixels, mouseCol, mouseRow);
         }
         // Else just ghost the image
     } else {
         //GO THROUGH ALL THE PIXELS IN THE PATTERN AND PUT THEM IN THE GRID
-        placeOnGrid(pixels, mouseCol, mouseRow, GHOST_CELL, 1);
+        placeGhostCells(pixels, mouseCol, mouseRow);
 
     }
     // RENDER THE GHOST CELLS
@@ -601,29 +1199,50 @@ function respondToMouseMove(event)
  */
 function respondToMouseUp(event)
 {
+    // FINISH DRAGGING THE VIEW, IF THAT'S WHAT WE WERE DOING
+    if (panDrag !== null)
+    {
+        panDrag = null;
+        return;
+    }
+
+    // OR DRAGGING OUT A SELECTION
+    if (tool === TOOL_SELECT)
+    {
+        finishSelection();
+        return;
+    }
+
+    // OR DRAWING A STROKE
+    if ((tool === TOOL_PENCIL) || (tool === TOOL_ERASER))
+    {
+        finishStroke();
+        return;
+    }
+
     // GET THE PATTERN SELECTED IN THE DROP DOWN LIST
     var selectedPattern = getSelectedPattern();
 
     // LOAD THE COORDINATES OF THE PIXELS
-    var pixels = patterns[selectedPattern];
+    var pixels = getSelectedPixels();
 
     // CALCULATE THE ROW,COL OF THE MOUSE
-    var canvasCoords = getRelativeCoords(event);
-    var mouseCol = Math.floor(canvasCoords.x/cellLength);
-    var mouseRow = Math.floor(canvasCoords.y/cellLength);
+    var mouseCell = getEventCell(event);
+    var mouseCol = mouseCell.col;
+    var mouseRow = mouseCell.row;
 
     // If void cell/remove void cell is selected record where the mouse is
     if(selectedPattern === "VoidCell.png"){
         if(pressedDown === true){
             //GO THROUGH ALL THE PIXELS IN THE PATTERN AND PUT THEM IN THE GRID
-            placeInMouseArray(pixels, mouseCol, mouseRow, VOID_CELL);
-            brightFeedback(pixels, mouseCol, mouseRow, 1);
+            placeVoidCells(pixels, mouseCol, mouseRow, true);
+            brightFeedback(pixels, mouseCol, mouseRow);
         }
     } else if(selectedPattern === "RemoveVoidCell.png") {
         if (pressedDown === true) {
             //GO THROUGH ALL THE PIXELS IN THE PATTERN AND PUT THEM IN THE GRID
-            placeInMouseArray(pixels, mouseCol, mouseRow, DEAD_CELL);
-            brightFeedback(pixels, mouseCol, mouseRow, 0);
+            placeVoidCells(pixels, mouseCol, mouseRow, false);
+            brightFeedback(pixels, mouseCol, mouseRow);
         }
     }
 
@@ -631,398 +1250,3797 @@ function respondToMouseUp(event)
 }
 
 /*
- * This function starts the simulation. Note that we don't want multiple
- * threads doing the same thing, so we first close the current thread, if
- * there is one. Once this method is called, the update and render are done
- * on a timed basis.
+ * This is the event handler for a pointer going down on the canvas. The
+ * mouse and pens are handled just like mouse events, fingers start a
+ * touch gesture, which is a pinch as soon as there are two of them.
  */
-function startGameOfLife()
+function respondToPointerDown(event)
 {
-    // CLEAR OUT ANY OLD TIMER
-    if (timer !== null)
+    if (event.pointerType !== "touch")
     {
-        clearInterval(timer);
+        respondToMouseDown(event);
+        return;
+    }
+    event.preventDefault();
+    canvas.setPointerCapture(event.pointerId);
+    var touchCoords = getRelativeCoords(event);
+    touchPointers.set(event.pointerId, touchCoords);
+    if (touchPointers.size === 1)
+    {
+        touchGesture = { mode: TOUCH_PRESS, x: touchCoords.x, y: touchCoords.y };
+        longPressTimer = setTimeout(startTouchPreview, LONG_PRESS_DELAY);
+    }
+    else if (touchPointers.size === 2)
+    {
+        startPinch();
     }
-
-    // START A NEW TIMER
-    timer = setInterval(stepGameOfLife, frameInterval);
 }
 
 /*
- * This function pauses the simulation such that the update and render
- * are no longer called on a timed basis.
+ * This is the event handler for a pointer moving over the canvas. A
+ * finger that moves far enough from where it went down starts a drag,
+ * which paints void cells, draws or selects, as dragging the mouse would.
  */
-function pauseGameOfLife()
+function respondToPointerMove(event)
 {
-    // TELL JavaScript TO STOP RUNNING THE LOOP
-    clearInterval(timer);
-
-    // AND THIS IS HOW WE'LL KEEP TRACK OF WHETHER
-    // THE SIMULATION IS RUNNING OR NOT
-    timer = null;
+    if (event.pointerType !== "touch")
+    {
+        respondToMouseMove(event);
+        return;
+    }
+    if (!touchPointers.has(event.pointerId) || (touchGesture === null))
+    {
+        return;
+    }
+    var touchCoords = getRelativeCoords(event);
+    touchPointers.set(event.pointerId, touchCoords);
+    if (touchGesture.mode === TOUCH_PINCH)
+    {
+        continuePinch();
+        return;
+    }
+    if (touchGesture.mode === TOUCH_PRESS)
+    {
+        if (Math.hypot(touchCoords.x - touchGesture.x, touchCoords.y - touchGesture.y) <= TOUCH_SLOP)
+        {
+            return;
+        }
+        clearTimeout(longPressTimer);
+        touchGesture.mode = TOUCH_DRAG;
+        respondToMouseDown(createTouchMouseEvent(touchGesture.x, touchGesture.y, 1));
+    }
+    respondToMouseMove(createTouchMouseEvent(touchCoords.x, touchCoords.y, 1));
 }
 
 /*
- * This function resets the grid containing the current state of the
- * Game of Life such that all cells in the game are dead.
+ * This is the event handler for a pointer coming up off the canvas, or
+ * the browser taking it over. A finger that comes up from a tap or a
+ * long press puts the pattern where it was, one that was dragging ends
+ * the drag, and a pinch is over once both fingers are up.
  */
-function resetGameOfLife()
+function respondToPointerUp(event)
 {
-    // RESET ALL THE DATA STRUCTURES TOO
-    gridWidth = canvasWidth/cellLength;
-    gridHeight = canvasHeight/cellLength;
-    updateGrid = new Array();
-    renderGrid = new Array();
-    persistentMouseArray = new Array();
-    recordMouseArray = new Array();
-
-    // INIT THE CELLS IN THE GRID
-    for (var i = 0; i < gridHeight; i++)
+    if (event.pointerType !== "touch")
+    {
+        respondToMouseUp(event);
+        return;
+    }
+    if (!touchPointers.has(event.pointerId))
+    {
+        return;
+    }
+    var touchCoords = touchPointers.get(event.pointerId);
+    touchPointers.delete(event.pointerId);
+    lastTouchTime = Date.now();
+    if ((touchGesture === null) || (touchGesture.mode === TOUCH_PINCH))
+    {
+        if (touchPointers.size === 0)
+        {
+            touchGesture = null;
+        }
+        return;
+    }
+    clearTimeout(longPressTimer);
+    var mode = touchGesture.mode;
+    touchGesture = null;
+    var mouseEvent = createTouchMouseEvent(touchCoords.x, touchCoords.y, 0);
+    if (mode === TOUCH_DRAG)
     {
-        for (var j = 0; j < gridWidth; j++)
+        // A DRAG THE BROWSER TOOK OVER ISN'T FOLLOWED BY A CLICK
+        if (event.type === "pointercancel")
         {
-            setGridCell(updateGrid, i, j, DEAD_CELL);
-            setGridCell(renderGrid, i, j, DEAD_CELL);
-            setGridCell(recordMouseArray, i, j, DEAD_CELL);
-            setGridCell(persistentMouseArray, i, j, DEAD_CELL);
+            endTouchDrag(touchCoords);
+            return;
         }
     }
+    else
+    {
+        respondToMouseDown(mouseEvent);
+    }
+    respondToMouseUp(mouseEvent);
+    respondToMouseClick(mouseEvent);
 
-    // RENDER THE CLEARED SCREEN
-    renderGame();
+    // THERE'S NOTHING HOVERING OVER THE CANVAS ANYMORE
+    resetGhostCanvas();
 }
 
 /*
- * This resets the ghost canvas so that it doesn't stay on the
- * ghost grid. Makes it have the single image following mouse
- * effect
+ * Called when a finger has been held down long enough without moving,
+ * this function shows the ghost pattern under it. Moving the finger then
+ * moves the ghost, and lifting it puts the pattern there.
  */
-function resetGhostCanvas(){
-    ghostRenderGrid = new Array();
-    ghostUpdateGrid = new Array();
-
-    // INIT THE CELLS IN THE GRID
-    for (var i = 0; i < gridHeight; i++)
+function startTouchPreview()
+{
+    if ((touchGesture === null) || (touchGesture.mode !== TOUCH_PRESS))
     {
-        for (var j = 0; j < gridWidth; j++)
-        {
-            setGridCell(ghostUpdateGrid, i, j, DEAD_CELL);
-            setGridCell(ghostRenderGrid, i, j, DEAD_CELL);
-        }
+        return;
     }
-
-    // CLEAR THE CANVAS
-    ghostCanvas2D.clearRect(0, 0, canvasWidth, canvasHeight);
-    swapGhostGrids();
-    renderGhostCells();
+    touchGesture.mode = TOUCH_PREVIEW;
+    respondToMouseMove(createTouchMouseEvent(touchGesture.x, touchGesture.y, 1));
 }
 
 /*
- * This function decrements the frames per second used by the
- * the simulation.
+ * This function ends a one finger drag without the click that would
+ * usually follow it, keeping whatever it did so far as one edit.
  */
-function decFPS()
+function endTouchDrag(touchCoords)
 {
-    // WE CAN'T HAVE A FRAME RATE OF 0 OR LESS
-    if (fps > MIN_FPS)
+    respondToMouseUp(createTouchMouseEvent(touchCoords.x, touchCoords.y, 0));
+    if (tool === TOOL_STAMP)
     {
-        // UPDATE THE FPS
-        fps -= FPS_INC;
-        frameInterval = 1000/fps;
+        pressedDown = false;
+        commitEdit();
+    }
+    resetGhostCanvas();
+}
 
-        // IF A SIMULATION IS ALREADY RUNNING,
-        // RESTART IT WITH THE NEW FRAME RATE
-        if (timer !== null)
+/*
+ * This function starts a two finger pinch, giving up on anything the
+ * first finger was doing. It remembers how far apart the fingers are and
+ * the canvas location between them.
+ */
+function startPinch()
+{
+    clearTimeout(longPressTimer);
+    var touchPoints = getTouchPoints();
+    if ((touchGesture !== null) && (touchGesture.mode === TOUCH_DRAG))
+    {
+        endTouchDrag(touchPoints[0]);
+    }
+    resetGhostCanvas();
+    touchGesture = { mode: TOUCH_PINCH,
+                     distance: Math.max(1, Math.hypot(touchPoints[1].x - touchPoints[0].x, touchPoints[1].y - touchPoints[0].y)),
+                     x: (touchPoints[0].x + touchPoints[1].x) / 2,
+                     y: (touchPoints[0].y + touchPoints[1].y) / 2,
+                     cellLength: cellLength, col: viewportCol, row: viewportRow };
+}
+
+/*
+ * This function zooms and pans the view to follow a pinch. The cell length
+ * changes a whole zoom step at a time as the fingers spread or close, and
+ * the world location that was between the fingers when the pinch started
+ * stays between them.
+ */
+function continuePinch()
+{
+    var touchPoints = getTouchPoints();
+    if (touchPoints.length < 2)
+    {
+        return;
+    }
+    var distance = Math.hypot(touchPoints[1].x - touchPoints[0].x, touchPoints[1].y - touchPoints[0].y);
+    var x = (touchPoints[0].x + touchPoints[1].x) / 2;
+    var y = (touchPoints[0].y + touchPoints[1].y) / 2;
+    var zoomSteps = Math.round(Math.log(Math.max(1, distance) / touchGesture.distance) / Math.log(CELL_LENGTH_INC));
+    var newCellLength = touchGesture.cellLength * Math.pow(CELL_LENGTH_INC, zoomSteps);
+    newCellLength = Math.max(MIN_CELL_LENGTH, Math.min(MAX_CELL_LENGTH, newCellLength));
+    var worldCol = touchGesture.col + (touchGesture.x / touchGesture.cellLength);
+    var worldRow = touchGesture.row + (touchGesture.y / touchGesture.cellLength);
+    cellLength = newCellLength;
+    setViewport(worldCol - (x / cellLength), worldRow - (y / cellLength));
+}
+
+/*
+ * Returns the canvas locations of the first two fingers on the canvas.
+ */
+function getTouchPoints()
+{
+    var touchPoints = new Array();
+    touchPointers.forEach(function (touchCoords)
+    {
+        if (touchPoints.length < 2)
         {
-            startGameOfLife();
+            touchPoints.push(touchCoords);
+        }
+    });
+    return touchPoints;
+}
+
+/*
+ * This function makes a stand in for a mouse event at canvas location
+ * (x, y), so touches can go through the mouse event handlers. The
+ * buttons argument is 1 while the finger is down and 0 once it's up.
+ */
+function createTouchMouseEvent(x, y, buttons)
+{
+    return { offsetX: x, offsetY: y, button: 0, buttons: buttons,
+             shiftKey: false, preventDefault: function () {} };
+}
+
+/*
+ * This is the event handler for the mouse wheel over the canvas. Rolling
+ * it zooms in or out, keeping the cell under the mouse where it is.
+ */
+function respondToMouseWheel(event)
+{
+    event.preventDefault();
+    var canvasCoords = getRelativeCoords(event);
+    if (event.deltaY < 0)
+    {
+        zoomAt(cellLength * CELL_LENGTH_INC, canvasCoords.x, canvasCoords.y);
+    }
+    else if (event.deltaY > 0)
+    {
+        zoomAt(cellLength / CELL_LENGTH_INC, canvasCoords.x, canvasCoords.y);
+    }
+}
+
+/*
+ * This is the event handler for when the user picks one of the named
+ * rules from the presets drop down list. The rulestring is copied into
+ * the rule text field and put into effect right away.
+ */
+function respondToRulePresetChange()
+{
+    var presetsList = document.getElementById("rule_presets");
+    var preset = presetsList.options[presetsList.selectedIndex].value;
+
+    // THE "Custom" ENTRY HAS NO RULESTRING, IT'S JUST THERE
+    // SO THE LIST CAN SHOW THAT A HAND TYPED RULE IS IN USE
+    if (preset === "")
+    {
+        return;
+    }
+    document.getElementById("rule_textfield").value = preset;
+    respondToSetRule();
+}
+
+/*
+ * This is the event handler for the "Set Rule" button. It validates the
+ * rulestring typed into the rule text field and, if it's good, makes
+ * it the active rule. Bad rulestrings leave the active rule alone and
+ * mark the text field so the user knows something is wrong.
+ */
+function respondToSetRule()
+{
+    var ruleTextField = document.getElementById("rule_textfield");
+    if (setRule(ruleTextField.value))
+    {
+        ruleTextField.className = "";
+        ruleTextField.title = "";
+    }
+    else
+    {
+        ruleTextField.className = "invalid";
+        if (parseRuleString(ruleTextField.value) !== null)
+        {
+            // A GOOD RULE THE ENGINE CAN'T RUN
+            ruleTextField.title = ENGINE_B0_MESSAGE;
         }
-        // OTHERWISE WE NEED TO RENDER A FRAME OURSELVES
         else
         {
-            renderGame();
+            ruleTextField.title = "Rules look like B3/S23, i.e. B followed by the neighbor "
+                                + "counts that cause a birth, then S followed by the "
+                                + "neighbor counts that let a cell survive";
+        }
+    }
+}
+
+/*
+ * Lets the user press Enter in the rule text field instead of clicking
+ * the "Set Rule" button.
+ */
+function respondToRuleKeyDown(event)
+{
+    if (event.key === "Enter" || event.keyCode === 13)
+    {
+        respondToSetRule();
+    }
+}
+
+/*
+ * This is the event handler for when the user picks a different topology
+ * from the drop down list. The change takes effect on the next frame,
+ * the cells already in the grid are left where they are.
+ */
+function respondToTopologyChange()
+{
+    var topologyList = document.getElementById("topology_select");
+    board.setTopology(parseInt(topologyList.options[topologyList.selectedIndex].value));
+    markSimulationChanged();
+}
+
+/*
+ * This is the event handler for when the user picks a different
+ * simulation engine from the drop down list. The cells are moved over
+ * to the new engine's grids, unless the engine can't be used with the
+ * active rule, in which case the drop down list is put back.
+ */
+function respondToEngineChange()
+{
+    var engineList = document.getElementById("engine_select");
+    var newEngine = engineList.options[engineList.selectedIndex].value;
+    if (!setEngine(newEngine))
+    {
+        engineList.className = "invalid";
+        engineList.title = ENGINE_B0_MESSAGE;
+        engineList.value = board.engine;
+        return;
+    }
+    engineList.className = "";
+    engineList.title = "";
+}
+
+/*
+ * This is the event handler for when the user picks a different render
+ * mode from the drop down list. Only the colors change, the simulation
+ * goes on just the same.
+ */
+function respondToRenderModeChange()
+{
+    var renderModeList = document.getElementById("render_mode_select");
+    renderMode = renderModeList.options[renderModeList.selectedIndex].value;
+    renderGame();
+}
+
+/*
+ * This is the event handler for when the user picks a different tool
+ * from the drop down list.
+ */
+function respondToToolChange()
+{
+    var toolList = document.getElementById("tool_select");
+    setTool(toolList.options[toolList.selectedIndex].value);
+}
+
+/*
+ * This is the event handler for the "Import" button. It parses the
+ * pattern in the pattern text area, which may be RLE, Plaintext or
+ * Life 1.06, and adds the pattern to the drop down list, selecting it
+ * so it's ready to be stamped. If an RLE header names a rule we also
+ * make it the active rule. The fileName argument is optional, it helps
+ * tell the formats apart when the pattern came from a file.
+ */
+function respondToImportPattern(fileName)
+{
+    var text = document.getElementById("pattern_textarea").value;
+    var pattern;
+    try
+    {
+        pattern = parsePattern(text, (typeof fileName === "string") ? fileName : null);
+    }
+    catch (error)
+    {
+        setPatternIOStatus(error.message, true);
+        return;
+    }
+    if (pattern.pixels.length === 0)
+    {
+        setPatternIOStatus("That pattern doesn't have any live cells", true);
+        return;
+    }
+
+    // THE FILE MAY NAME THE PATTERN, OTHERWISE USE THE NAME THE USER
+    // TYPED IN, OR IF THERE ISN'T ONE, MAKE ONE UP
+    var name = pattern.name;
+    if (!name)
+    {
+        name = document.getElementById("pattern_name_textfield").value.trim();
+    }
+    if (!name)
+    {
+        importedPatternCounter++;
+        name = "Imported Pattern #" + importedPatternCounter;
+    }
+    addPatternToList(pattern.format + ":" + name, name, normalizePattern(pattern.pixels));
+    var status = "Imported " + name + " (" + pattern.width + "x" + pattern.height + ")";
+
+    // FEED THE HEADER'S RULE INTO THE SIMULATION
+    if (pattern.rule !== null)
+    {
+        if (setRule(pattern.rule))
+        {
+            status += ", rule set to " + board.getRule();
+        }
+        else if (parseRuleString(pattern.rule) !== null)
+        {
+            status += ", but its rule " + pattern.rule + " has cells born with no neighbors, "
+                    + "which the unbounded engine can't run, so " + board.getRule()
+                    + " is still in use";
+        }
+        else
+        {
+            status += ", but its rule " + pattern.rule + " isn't supported so "
+                    + board.getRule() + " is still in use";
+        }
+    }
+    setPatternIOStatus(status, false);
+}
+
+/*
+ * This is the event handler for when the user picks a pattern file. The
+ * file is read into the pattern text area, its name is used as the
+ * pattern name, and it's imported.
+ */
+function respondToPatternFileSelected(event)
+{
+    var fileInput = event.target;
+    if (fileInput.files.length === 0)
+    {
+        return;
+    }
+    var file = fileInput.files[0];
+    var reader = new FileReader();
+    reader.onload = function()
+    {
+        document.getElementById("pattern_textarea").value = reader.result;
+        document.getElementById("pattern_name_textfield").value = file.name.replace(/\.[^.]*$/, "");
+        respondToImportPattern(file.name);
+
+        // CLEAR THE PICKER SO PICKING THE SAME FILE AGAIN STILL WORKS
+        fileInput.value = "";
+    };
+    reader.readAsText(file);
+}
+
+/*
+ * This is the event handler for the "Export RLE" button. Depending on
+ * what's picked in the export drop down list, it writes out either all
+ * the live cells on the board or the pattern selected in the patterns
+ * drop down list. The RLE goes in the pattern text area and is also
+ * downloaded as a file.
+ */
+function respondToExportRLE()
+{
+    var sourceList = document.getElementById("export_source_select");
+    var source = sourceList.options[sourceList.selectedIndex].value;
+    var pixels;
+    var name;
+    if (source === "board")
+    {
+        pixels = board.getCells();
+        name = document.getElementById("pattern_name_textfield").value.trim() || "Board";
+    }
+    else
+    {
+        var patternsList = document.getElementById("game_of_life_patterns");
+        pixels = getSelectedPixels();
+        name = patternsList.options[patternsList.selectedIndex].text;
+    }
+    if (pixels.length === 0)
+    {
+        setPatternIOStatus("There are no live cells to export", true);
+        return;
+    }
+
+    var rle = encodeRLE(pixels, name, board.getRule());
+    document.getElementById("pattern_textarea").value = rle;
+    downloadTextFile(name.replace(/[^A-Za-z0-9_-]+/g, "_") + ".rle", rle, "text/plain");
+    setPatternIOStatus("Exported " + name, false);
+}
+
+/*
+ * This is the event handler for the "Step" button. It pauses the
+ * simulation, if it's running, and then runs a single generation.
+ */
+function respondToStep()
+{
+    pauseGameOfLife();
+    stepGameOfLife();
+}
+
+/*
+ * This is the event handler for the "Step Back" button. It pauses the
+ * simulation, if it's running, and then goes back one generation.
+ */
+function respondToStepBack()
+{
+    pauseGameOfLife();
+    stepBackGameOfLife();
+}
+
+/*
+ * This is the event handler for the "Step N" button. It pauses the
+ * simulation, if it's running, and then runs the number of generations
+ * typed into the step count text field, only rendering the last one.
+ * Counts over MAX_STEP_COUNT are marked invalid.
+ */
+function respondToStepN()
+{
+    var stepCountTextField = document.getElementById("step_count_textfield");
+    var numSteps = Number(stepCountTextField.value);
+    if (!(numSteps >= 1) || !(numSteps <= MAX_STEP_COUNT) || (Math.floor(numSteps) !== numSteps))
+    {
+        stepCountTextField.className = "invalid";
+        return;
+    }
+    stepCountTextField.className = "";
+    pauseGameOfLife();
+    for (var i = 0; i < numSteps; i++)
+    {
+        updateGame();
+    }
+    renderGame();
+}
+
+/*
+ * This is the event handler for the "Benchmark" button in the statistics
+ * panel. It pauses the simulation, if it's running, and reports how many
+ * generations per second the active engine manages on the board.
+ */
+function respondToBenchmark()
+{
+    pauseGameOfLife();
+    var result = runBenchmark(BENCHMARK_MILLISECONDS);
+    setStatusMessage("benchmark_result", result.generations + " generations in "
+                     + Math.round(result.milliseconds) + " ms, "
+                     + result.generationsPerSecond.toFixed(1) + " per second", false);
+}
+
+/*
+ * This is the event handler for the "Export CSV" button in the statistics
+ * panel. It downloads the per-generation statistics as a CSV file.
+ */
+function respondToExportStatistics()
+{
+    var csv = "generation,population,births,deaths,min_col,min_row,max_col,max_row\n";
+    for (var i = 0; i < statistics.length; i++)
+    {
+        var sample = statistics[i];
+        csv += sample.generation + "," + sample.population + ","
+             + sample.births + "," + sample.deaths + ","
+             + sample.minCol + "," + sample.minRow + ","
+             + sample.maxCol + "," + sample.maxRow + "\n";
+    }
+    downloadTextFile("statistics.csv", csv, "text/csv");
+}
+
+/*
+ * This is the event handler for the "Reset" button. Unlike the other
+ * times the board is reset, the user can undo this one.
+ */
+function respondToResetButton()
+{
+    // REMEMBER EVERY CELL THAT ISN'T ALREADY DEAD
+    beginEdit();
+    board.forEachCell(function (x, y, value)
+    {
+        recordCellForEdit(y, x);
+    });
+    resetGameOfLife();
+    commitEdit();
+}
+
+/*
+ * This is the event handler for key presses anywhere on the page. The key
+ * is looked up in the key bindings and the action it's bound to is done,
+ * unless the user is picking a new key for an action, in which case that's
+ * what the key is for. Keys pressed in text fields and drop down lists are
+ * left alone so those keep working the usual way, and so are keys whose
+ * action had nothing to do, so the browser's own shortcuts still work.
+ */
+function respondToKeyDown(event)
+{
+    var target = event.target;
+    if ((target !== undefined) && (target !== null)
+        && (((target.tagName === "INPUT") && (target.type !== "button"))
+            || (target.tagName === "TEXTAREA") || (target.tagName === "SELECT")))
+    {
+        return;
+    }
+    var keyName = getKeyName(event);
+    if (keyName === null)
+    {
+        return;
+    }
+    if (remappingAction !== null)
+    {
+        finishRemapping(keyName);
+        event.preventDefault();
+        return;
+    }
+    for (var i = 0; i < keyActions.length; i++)
+    {
+        if (keyBindings[keyActions[i].name].indexOf(keyName) >= 0)
+        {
+            if (keyActions[i].run() !== false)
+            {
+                event.preventDefault();
+            }
+            return;
         }
     }
 }
 
 /*
- * This function increments the frames per second used by the
- * the simulation.
+ * This is the event handler for the "Save" session button. It saves
+ * the whole board, void cells and all, into the local storage slot
+ * named in the session name text field, asking first before replacing
+ * a slot that's already there.
+ */
+function respondToSaveSession()
+{
+    var name = document.getElementById("session_name_textfield").value.trim();
+    if (name.length === 0)
+    {
+        setSessionStatus("Type a name for the session first", true);
+        return;
+    }
+    var slots = loadSessionSlots();
+    if ((slots[name] !== undefined) && !confirm("Replace the saved session \"" + name + "\"?"))
+    {
+        return;
+    }
+    slots[name] = createSessionSnapshot(name);
+    if (storeSessionSlots(slots))
+    {
+        refreshSessionSlotsList(name);
+        setSessionStatus("Saved " + name + " at generation " + board.generation, false);
+    }
+}
+
+/*
+ * This is the event handler for the "Load" session button. It replaces
+ * the board with the session selected in the saved sessions list.
+ */
+function respondToLoadSession()
+{
+    var name = getSelectedSessionSlot();
+    if (name === null)
+    {
+        setSessionStatus("There are no saved sessions to load", true);
+        return;
+    }
+    var slots = loadSessionSlots();
+    if (restoreSessionSnapshot(slots[name]))
+    {
+        document.getElementById("session_name_textfield").value = name;
+        setSessionStatus("Loaded " + name + " at generation " + board.generation, false);
+    }
+}
+
+/*
+ * This is the event handler for the "Delete" session button. It removes
+ * the session selected in the saved sessions list, after checking.
+ */
+function respondToDeleteSession()
+{
+    var name = getSelectedSessionSlot();
+    if ((name === null) || !confirm("Delete the saved session \"" + name + "\"?"))
+    {
+        return;
+    }
+    var slots = loadSessionSlots();
+    delete slots[name];
+    if (storeSessionSlots(slots))
+    {
+        refreshSessionSlotsList();
+        setSessionStatus("Deleted " + name, false);
+    }
+}
+
+/*
+ * This is the event handler for the "Rename" session button. It gives
+ * the session selected in the saved sessions list the name typed in the
+ * session name text field, as long as no other session has that name.
+ */
+function respondToRenameSession()
+{
+    var oldName = getSelectedSessionSlot();
+    var newName = document.getElementById("session_name_textfield").value.trim();
+    if (oldName === null)
+    {
+        setSessionStatus("There are no saved sessions to rename", true);
+        return;
+    }
+    if ((newName.length === 0) || (newName === oldName))
+    {
+        setSessionStatus("Type the new name for " + oldName + " first", true);
+        return;
+    }
+    var slots = loadSessionSlots();
+    if (slots[newName] !== undefined)
+    {
+        setSessionStatus("There's already a session named " + newName, true);
+        return;
+    }
+    slots[newName] = slots[oldName];
+    slots[newName].name = newName;
+    delete slots[oldName];
+    if (storeSessionSlots(slots))
+    {
+        refreshSessionSlotsList(newName);
+        setSessionStatus("Renamed " + oldName + " to " + newName, false);
+    }
+}
+
+/*
+ * This is the event handler for the "Download" session button. It saves
+ * a snapshot of the board to a JSON file, which can be uploaded again
+ * on another machine.
+ */
+function respondToDownloadSession()
+{
+    var name = document.getElementById("session_name_textfield").value.trim() || "Session";
+    var json = JSON.stringify(createSessionSnapshot(name));
+    downloadTextFile(name.replace(/[^A-Za-z0-9_-]+/g, "_") + ".json", json, "application/json");
+    setSessionStatus("Downloaded " + name, false);
+}
+
+/*
+ * This is the event handler for when the user picks a session JSON file
+ * to upload. The board is replaced with the snapshot in the file, and its
+ * name is put in the session name text field so it's easy to save.
+ */
+function respondToSessionFileSelected(event)
+{
+    var fileInput = event.target;
+    if (fileInput.files.length === 0)
+    {
+        return;
+    }
+    var reader = new FileReader();
+    reader.onload = function()
+    {
+        try
+        {
+            uploadSessionFile(reader.result);
+        }
+        finally
+        {
+            // CLEAR THE PICKER SO PICKING THE SAME FILE AGAIN STILL WORKS
+            fileInput.value = "";
+        }
+    };
+    reader.readAsText(fileInput.files[0]);
+}
+
+/*
+ * Helper for respondToSessionFileSelected, it replaces the board with the
+ * session in the text of an uploaded file.
+ */
+function uploadSessionFile(text)
+{
+    var snapshot;
+    try
+    {
+        snapshot = JSON.parse(text);
+    }
+    catch (error)
+    {
+        setSessionStatus("That file isn't a saved session", true);
+        return;
+    }
+    if (restoreSessionSnapshot(snapshot))
+    {
+        document.getElementById("session_name_textfield").value = snapshot.name || "";
+        setSessionStatus("Uploaded " + (snapshot.name || "session") + " at generation " + board.generation, false);
+    }
+}
+
+/*
+ * This function starts the simulation. Note that we don't want multiple
+ * threads doing the same thing, so we first close the current thread, if
+ * there is one. Once this method is called, the update is done on a timed
+ * basis, in a Web Worker if the browser lets us, and the render whenever
+ * there's a new generation to show.
+ */
+function startGameOfLife()
+{
+    // CLEAR OUT ANY OLD TIMERS
+    if (timer !== null)
+    {
+        pauseGameOfLife();
+    }
+
+    // RENDERING IS DONE WHEN THE BROWSER IS READY TO PAINT A FRAME
+    timer = requestAnimationFrame(renderFrame);
+
+    // AND UPDATING BY THE WORKER, OR BY A TIMER IF WE CAN'T HAVE ONE
+    if (getSimulationWorker() !== null)
+    {
+        loadSimulationWorker();
+    }
+    else
+    {
+        updateTimer = setInterval(updateFrame, frameInterval);
+    }
+}
+
+/*
+ * This function pauses the simulation such that the update and render
+ * are no longer called on a timed basis.
+ */
+function pauseGameOfLife()
+{
+    // TELL JavaScript TO STOP RUNNING THE LOOPS
+    cancelAnimationFrame(timer);
+    clearInterval(updateTimer);
+    updateTimer = null;
+    if (simulationWorker !== null)
+    {
+        simulationWorker.postMessage({ type: "pause" });
+    }
+
+    // ANY CHANGES ALREADY ON THEIR WAY FROM THE WORKER ARE TOO LATE
+    simulationEpoch++;
+
+    // AND THIS IS HOW WE'LL KEEP TRACK OF WHETHER
+    // THE SIMULATION IS RUNNING OR NOT
+    timer = null;
+
+    // MAKE SURE THE LAST GENERATION GETS SHOWN
+    if (renderNeeded)
+    {
+        renderNeeded = false;
+        renderGame();
+    }
+}
+
+/*
+ * Called by the browser before it paints each frame while the simulation
+ * is running, this method renders the latest generation if it hasn't been
+ * yet. It's also where the worker is sent the board again after it's been
+ * changed here, once any edit in progress is done.
+ */
+function renderFrame()
+{
+    if (simulationChanged && (simulationWorker !== null)
+        && ((pendingEdit === null) || (strokeCell !== null)))
+    {
+        loadSimulationWorker();
+    }
+    if (renderNeeded)
+    {
+        renderNeeded = false;
+        renderGame();
+    }
+    timer = requestAnimationFrame(renderFrame);
+}
+
+/*
+ * Called on a timed basis while the simulation is running without a
+ * worker, this method updates the grid. The render happens on the
+ * next animation frame.
+ */
+function updateFrame()
+{
+    updateGame();
+    renderNeeded = true;
+}
+
+/*
+ * This function resets the grid containing the current state of the
+ * Game of Life such that all cells in the game are dead.
+ */
+function resetGameOfLife()
+{
+    // A NEW BOARD WITH THE SAME SETTINGS. NOTE THAT THE BOARD IS THE
+    // SIZE OF THE WHOLE WORLD, NOT JUST THE PART IN THE CANVAS
+    setBoard(createWorld({ width: WORLD_WIDTH,
+                           height: WORLD_HEIGHT,
+                           rule: board.getRule(),
+                           topology: board.topology,
+                           engine: board.engine }));
+}
+
+/*
+ * This function makes the World argument the board, resetting all the
+ * data structures that went with the old one.
+ */
+function setBoard(newBoard)
+{
+    board = newBoard;
+    ghostUpdateGrid = board.createGrid();
+    ghostRenderGrid = board.createGrid();
+    clearGenerationHistory();
+    clearCellHistory();
+
+    // START THE STATISTICS OVER
+    statistics = new Array();
+    refreshStatistics();
+    markSimulationChanged();
+
+    // RENDER THE NEW BOARD
+    renderGame();
+}
+
+/*
+ * This resets the ghost canvas so that it doesn't stay on the
+ * ghost grid. Makes it have the single image following mouse
+ * effect
+ */
+function resetGhostCanvas(){
+    // CLEAR THE CELLS IN THE GRID
+    clearGrid(ghostUpdateGrid);
+    clearGrid(ghostRenderGrid);
+
+    // CLEAR THE CANVAS
+    ghostCanvas2D.clearRect(0, 0, canvasWidth, canvasHeight);
+    swapGhostGrids();
+    renderGhostCells();
+}
+
+/*
+ * This function decrements the frames per second used by the
+ * the simulation.
+ */
+function decFPS()
+{
+    // WE CAN'T HAVE A FRAME RATE OF 0 OR LESS
+    if (fps > MIN_FPS)
+    {
+        // UPDATE THE FPS
+        fps -= FPS_INC;
+        frameInterval = 1000/fps;
+
+        // IF A SIMULATION IS ALREADY RUNNING,
+        // RESTART IT WITH THE NEW FRAME RATE
+        if (timer !== null)
+        {
+            startGameOfLife();
+        }
+        // OTHERWISE WE NEED TO RENDER A FRAME OURSELVES
+        else
+        {
+            renderGame();
+        }
+    }
+}
+
+/*
+ * This function increments the frames per second used by the
+ * the simulation.
+ */
+function incFPS()
+{
+    // WE'LL CAP THE FRAME RATE AT 33
+    if (fps < MAX_FPS)
+    {
+        // UPDATE THE FPS
+        fps += FPS_INC;
+        frameInterval = MILLISECONDS_IN_ONE_SECOND/fps;
+
+        // IF A SIMULATION IS ALREADY RUNNING,
+        // RESTART IT WITH THE NEW FRAME RATE
+        if (timer !== null)
+        {
+            startGameOfLife();
+        }
+        // OTHERWISE WE NEED TO RENDER A FRAME OURSELVES
+        else
+        {
+            renderGame();
+        }
+    }
+}
+
+/*
+ * This function decrements the cellLength factor for rendering. Note the
+ * cellLength starts at 1, which is cellLengthed all the way out, where cells are
+ * on a one-to-one ratio with pixels in the canvas. The numeric value
+ * of the cellLength translates into the length of each side for each cell.
+ * Changing it only changes the view, the world and its cells stay the same.
+ */
+function decCellLength()
+{
+    // ZOOM OUT AROUND THE CENTER OF THE CANVAS
+    zoomAt(cellLength / CELL_LENGTH_INC, canvasWidth / 2, canvasHeight / 2);
+}
+
+/*
+ * This function increments the cellLength factor for rendering. Note the
+ * cellLength starts at 1, which is cellLengthed all the way out, where cells are
+ * on a one-to-one ratio with pixels in the canvas. The numeric value
+ * of the cellLength translates into the length of each side for each cell.
+ * Changing it only changes the view, the world and its cells stay the same.
+ */
+function incCellLength()
+{
+    // ZOOM IN AROUND THE CENTER OF THE CANVAS
+    zoomAt(cellLength * CELL_LENGTH_INC, canvasWidth / 2, canvasHeight / 2);
+}
+
+// HELPER METHODS FOR THE EVENT HANDLERS
+
+/*
+ * This function gets the mouse click coordinates relative to
+ * the canvas itself, where 0,0 is the top, left corner of
+ * the canvas. The coordinates are in the canvas's own pixels,
+ * so they're right even when CSS draws the canvas bigger or
+ * smaller than it really is, as it may on a tablet.
+ */
+function getRelativeCoords(event)
+{
+    var element = event.currentTarget;
+    if ((element === undefined) || (element === null) || (element.getBoundingClientRect === undefined))
+    {
+        element = event.target;
+    }
+
+    // WITHOUT THE ELEMENT WE CAN ONLY GO BY THE EVENT'S OWN OFFSETS
+    if ((element === undefined) || (element === null) || (element.getBoundingClientRect === undefined))
+    {
+        if (event.offsetX !== undefined && event.offsetY !== undefined)
+        {
+            return { x: event.offsetX, y: event.offsetY };
+        }
+        else
+        {
+            return { x: event.layerX, y: event.layerY };
+        }
+    }
+    var bounds = element.getBoundingClientRect();
+    var scaleX = (bounds.width > 0) ? (element.width / bounds.width) : 1;
+    var scaleY = (bounds.height > 0) ? (element.height / bounds.height) : 1;
+    if (event.clientX !== undefined && event.clientY !== undefined)
+    {
+        return { x: (event.clientX - bounds.left) * scaleX, y: (event.clientY - bounds.top) * scaleY };
+    }
+    else if (event.offsetX !== undefined && event.offsetY !== undefined)
+    {
+        return { x: event.offsetX * scaleX, y: event.offsetY * scaleY };
+    }
+    else
+    {
+        return { x: event.layerX * scaleX, y: event.layerY * scaleY };
+    }
+}
+
+// PATTERN IMPORT & EXPORT METHODS
+
+/*
+ * This function adds a pattern to the patterns drop down list under
+ * the given key and selects it. If there's already a pattern with that
+ * key it's replaced.
+ */
+function addPatternToList(key, name, pixels)
+{
+    var patternsList = document.getElementById("game_of_life_patterns");
+    patterns[key] = pixels;
+
+    // REUSE THE OPTION IF WE ALREADY HAVE ONE FOR THIS KEY
+    for (var i = 0; i < patternsList.options.length; i++)
+    {
+        if (patternsList.options[i].value === key)
+        {
+            patternsList.selectedIndex = i;
+            return;
+        }
+    }
+    var option = document.createElement("option");
+    option.value = key;
+    option.text = name;
+    patternsList.appendChild(option);
+    patternsList.selectedIndex = patternsList.options.length - 1;
+}
+
+/*
+ * This function has the browser download the text argument as a file.
+ */
+function downloadTextFile(fileName, text, mimeType)
+{
+    var blob = new Blob([text], { type: mimeType });
+    var url = URL.createObjectURL(blob);
+    var link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+/*
+ * Shows a message under the pattern import/export controls, errors
+ * are shown in a different style.
+ */
+function setPatternIOStatus(message, isError)
+{
+    setStatusMessage("pattern_io_status", message, isError);
+}
+
+/*
+ * Shows a message in the status element with the given id, errors
+ * are shown in a different style.
+ */
+function setStatusMessage(statusId, message, isError)
+{
+    var status = document.getElementById(statusId);
+    status.textContent = message;
+    status.className = isError ? "error" : "";
+}
+
+// PATTERN ORIENTATION METHODS
+
+/*
+ * This function turns the pattern that's about to be placed 90 degrees
+ * clockwise, from the way it looks now.
+ */
+function rotatePattern()
+{
+    changePatternTransform(0, -1, 1, 0);
+}
+
+/*
+ * This function mirrors the pattern that's about to be placed left to
+ * right, from the way it looks now.
+ */
+function flipPatternHorizontally()
+{
+    changePatternTransform(-1, 0, 0, 1);
+}
+
+/*
+ * This function mirrors the pattern that's about to be placed top to
+ * bottom, from the way it looks now.
+ */
+function flipPatternVertically()
+{
+    changePatternTransform(1, 0, 0, -1);
+}
+
+/*
+ * Helper for the rotate and flip functions, it applies the 2x2 matrix
+ * [a b; c d] on top of the current pattern transform and then redraws
+ * the ghost pattern so the user sees the change right away. Since the
+ * matrices only hold -1, 0 and 1 every pattern ends up in one of its
+ * 8 orientations.
+ */
+function changePatternTransform(a, b, c, d)
+{
+    var t = patternTransform;
+    patternTransform = { a: (a * t.a) + (b * t.c),
+                         b: (a * t.b) + (b * t.d),
+                         c: (c * t.a) + (d * t.c),
+                         d: (c * t.b) + (d * t.d) };
+    renderGhostPattern();
+}
+
+/*
+ * This function returns a copy of a pattern's pixels put through the
+ * current pattern transform, moved so its bounding box starts at (0, 0)
+ * like the untransformed patterns do.
+ */
+function transformPattern(pixels)
+{
+    var t = patternTransform;
+    var transformed = new Array();
+    for (var i = 0; i < pixels.length; i += 2)
+    {
+        transformed.push((t.a * pixels[i]) + (t.b * pixels[i + 1]));
+        transformed.push((t.c * pixels[i]) + (t.d * pixels[i + 1]));
+    }
+    return normalizePattern(transformed);
+}
+
+/*
+ * This function redraws the ghost of the selected pattern where the
+ * mouse was last seen over the canvas, if it has been seen at all.
+ */
+function renderGhostPattern()
+{
+    if ((lastMouseCol === null) || (tool !== TOOL_STAMP))
+    {
+        return;
+    }
+    resetGhostCanvas();
+    placeGhostCells(getSelectedPixels(), lastMouseCol, lastMouseRow);
+    renderGhostCells();
+}
+
+// EDIT HISTORY METHODS
+
+/*
+ * This function starts recording an edit of the board. Cells changed
+ * from now until commitEdit is called must first be passed to
+ * recordCellForEdit so their old values can be put back if the edit is
+ * undone. If an edit was already in progress it's committed first.
+ */
+function beginEdit()
+{
+    commitEdit();
+    pendingEdit = { seen: {}, indices: new Array(), beforeCells: new Array() };
+}
+
+/*
+ * This function remembers the value the cell at (row, col) had before
+ * the edit in progress touched it. Only the first call for a given cell
+ * counts, and nothing happens if no edit is in progress, which is how
+ * simulation steps stay out of the edit history.
+ */
+function recordCellForEdit(row, col)
+{
+    if ((pendingEdit === null) || !board.isValidCell(row, col))
+    {
+        return;
+    }
+    var index = board.getCellIndex(row, col);
+    if (pendingEdit.seen[index] === true)
+    {
+        return;
+    }
+    pendingEdit.seen[index] = true;
+    pendingEdit.indices.push(index);
+    pendingEdit.beforeCells.push(board.getIndexCell(index));
+}
+
+/*
+ * This function finishes the edit in progress, if there is one, and puts
+ * it on the undo stack. The values the recorded cells have now are what
+ * a redo will put back. Cells that ended up the way they started aren't
+ * kept, and an edit that didn't change anything isn't kept at all.
+ */
+function commitEdit()
+{
+    if (pendingEdit === null)
+    {
+        return;
+    }
+    var edit = { indices: new Array(), beforeCells: new Array(), afterCells: new Array() };
+    for (var i = 0; i < pendingEdit.indices.length; i++)
+    {
+        var index = pendingEdit.indices[i];
+        var afterCell = board.getIndexCell(index);
+        if (afterCell !== pendingEdit.beforeCells[i])
+        {
+            recordEditedCell(index, afterCell);
+            edit.indices.push(index);
+            edit.beforeCells.push(pendingEdit.beforeCells[i]);
+            edit.afterCells.push(afterCell);
+        }
+    }
+    pendingEdit = null;
+    if (edit.indices.length === 0)
+    {
+        return;
+    }
+
+    // A NEW EDIT MEANS THE OLD REDOS DON'T APPLY ANYMORE, AND
+    // NEITHER DO THE GENERATIONS THAT CAME BEFORE IT
+    clearGenerationHistory();
+    undoStack.push(edit);
+    if (undoStack.length > MAX_UNDO_STEPS)
+    {
+        undoStack.shift();
+    }
+    redoStack = new Array();
+    updateUndoRedoButtons();
+    refreshStatistics();
+    markSimulationChanged();
+}
+
+/*
+ * This function takes back the most recent edit of the board.
+ */
+function undoEdit()
+{
+    commitEdit();
+    if (undoStack.length === 0)
+    {
+        return;
+    }
+    var edit = undoStack.pop();
+    applyEdit(edit.indices, edit.beforeCells);
+    redoStack.push(edit);
+    updateUndoRedoButtons();
+}
+
+/*
+ * This function puts back the most recently undone edit of the board.
+ */
+function redoEdit()
+{
+    commitEdit();
+    if (redoStack.length === 0)
+    {
+        return;
+    }
+    var edit = redoStack.pop();
+    applyEdit(edit.indices, edit.afterCells);
+    undoStack.push(edit);
+    updateUndoRedoButtons();
+}
+
+/*
+ * Helper for undoEdit and redoEdit, it sets the cells at the given
+ * indices to the given values and shows the result.
+ */
+function applyEdit(indices, cells)
+{
+    board.setCells(indices, cells);
+    for (var i = 0; i < indices.length; i++)
+    {
+        recordEditedCell(indices[i], cells[i]);
+    }
+    clearGenerationHistory();
+    refreshStatistics();
+    markSimulationChanged();
+    renderGame();
+}
+
+/*
+ * This function forgets all the edits, which we have to do whenever
+ * the grid is replaced by one they don't apply to.
+ */
+function clearEditHistory()
+{
+    undoStack = new Array();
+    redoStack = new Array();
+    pendingEdit = null;
+    updateUndoRedoButtons();
+}
+
+/*
+ * Enables the undo and redo buttons only when there's something
+ * for them to do.
+ */
+function updateUndoRedoButtons()
+{
+    document.getElementById("undo_button").disabled = (undoStack.length === 0);
+    document.getElementById("redo_button").disabled = (redoStack.length === 0);
+}
+
+// KEYBOARD METHODS
+
+/*
+ * This function returns a JavaScript object for one of the things that can
+ * be done from the keyboard. The name identifies it in the key bindings,
+ * the description is shown in the help overlay, and run is the function
+ * that does it, which returns false if there was nothing for it to do.
+ * The default keys are an array, since some actions have a second key.
+ */
+function KeyAction(initName, initDescription, initDefaultKeys, initRun)
+{
+    this.name = initName;
+    this.description = initDescription;
+    this.defaultKeys = initDefaultKeys;
+    this.run = initRun;
+}
+
+/*
+ * This function sets up the keyboard actions, in the order the help
+ * overlay lists them, and the keys they're bound to.
+ */
+function initKeyboard()
+{
+    keyActions = new Array();
+    keyActions.push(new KeyAction("startPause", "Start or pause", ["space"], toggleGameOfLife));
+    keyActions.push(new KeyAction("step", "Step", ["s"], respondToStep));
+    keyActions.push(new KeyAction("stepBack", "Step back", ["b"], respondToStepBack));
+    keyActions.push(new KeyAction("reset", "Reset", ["shift+r"], respondToResetButton));
+    keyActions.push(new KeyAction("decFPS", "FPS-", ["["], decFPS));
+    keyActions.push(new KeyAction("incFPS", "FPS+", ["]"], incFPS));
+    keyActions.push(new KeyAction("zoomOut", "Zoom out", ["-"], decCellLength));
+    keyActions.push(new KeyAction("zoomIn", "Zoom in", ["="], incCellLength));
+    keyActions.push(new KeyAction("panLeft", "Move the view left", ["arrowleft"], function () { panView(-1, 0); }));
+    keyActions.push(new KeyAction("panRight", "Move the view right", ["arrowright"], function () { panView(1, 0); }));
+    keyActions.push(new KeyAction("panUp", "Move the view up", ["arrowup"], function () { panView(0, -1); }));
+    keyActions.push(new KeyAction("panDown", "Move the view down", ["arrowdown"], function () { panView(0, 1); }));
+    keyActions.push(new KeyAction("previousPattern", "Previous pattern", [","], function () { selectAdjacentPattern(-1); }));
+    keyActions.push(new KeyAction("nextPattern", "Next pattern", ["."], function () { selectAdjacentPattern(1); }));
+    keyActions.push(new KeyAction("rotate", "Rotate the pattern", ["r"], rotatePattern));
+    keyActions.push(new KeyAction("flipHorizontally", "Flip the pattern horizontally", ["h"], flipPatternHorizontally));
+    keyActions.push(new KeyAction("flipVertically", "Flip the pattern vertically", ["v"], flipPatternVertically));
+    keyActions.push(new KeyAction("cursorLeft", "Move the cursor left", ["shift+arrowleft"], function () { moveKeyboardCursor(0, -1); }));
+    keyActions.push(new KeyAction("cursorRight", "Move the cursor right", ["shift+arrowright"], function () { moveKeyboardCursor(0, 1); }));
+    keyActions.push(new KeyAction("cursorUp", "Move the cursor up", ["shift+arrowup"], function () { moveKeyboardCursor(-1, 0); }));
+    keyActions.push(new KeyAction("cursorDown", "Move the cursor down", ["shift+arrowdown"], function () { moveKeyboardCursor(1, 0); }));
+    keyActions.push(new KeyAction("place", "Place the pattern at the cursor", ["enter"], placeAtKeyboardCursor));
+    keyActions.push(new KeyAction("undo", "Undo", ["ctrl+z"], undoEdit));
+    keyActions.push(new KeyAction("redo", "Redo", ["ctrl+y", "ctrl+shift+z"], redoEdit));
+    keyActions.push(new KeyAction("copy", "Copy the selection", ["ctrl+c"], function () { return doWithSelection(copySelection); }));
+    keyActions.push(new KeyAction("cut", "Cut the selection", ["ctrl+x"], function () { return doWithSelection(cutSelection); }));
+    keyActions.push(new KeyAction("paste", "Paste", ["ctrl+v"], function ()
+    {
+        if (clipboard === null)
+        {
+            return false;
+        }
+        pasteClipboard();
+    }));
+    keyActions.push(new KeyAction("deleteSelection", "Delete the selection", ["delete", "backspace"], function () { return doWithSelection(deleteSelection); }));
+    keyActions.push(new KeyAction("clearSelection", "Unselect", ["escape"], function () { return doWithSelection(clearSelection); }));
+    keyActions.push(new KeyAction("help", "Show or hide this help", ["?"], toggleKeyHelp));
+    remappingAction = null;
+    keyboardCursor = null;
+    loadKeyBindings();
+}
+
+/*
+ * This function returns the name a key press is known by in the key
+ * bindings, which is the key in lower case, or "space", after any of
+ * "ctrl+", "alt+" and "shift+" that were held down. Shift is only part of
+ * the name for letters and named keys, since it's what makes most of the
+ * other characters. Pressing a modifier key on its own gives null.
+ */
+function getKeyName(event)
+{
+    var key = (event.key === " ") ? "space" : event.key.toLowerCase();
+    if ((key === "shift") || (key === "control") || (key === "alt") || (key === "meta"))
+    {
+        return null;
+    }
+    var keyName = key;
+    if (event.shiftKey && ((key.length > 1) || ((key >= "a") && (key <= "z"))))
+    {
+        keyName = "shift+" + keyName;
+    }
+    if (event.altKey)
+    {
+        keyName = "alt+" + keyName;
+    }
+    if (event.ctrlKey || event.metaKey)
+    {
+        keyName = "ctrl+" + keyName;
+    }
+    return keyName;
+}
+
+/*
+ * This function binds every action to its default keys and then to the
+ * keys the user picked, from local storage. Keys picked before actions
+ * could have more than one were stored on their own, not in an array.
+ */
+function loadKeyBindings()
+{
+    keyBindings = {};
+    for (var i = 0; i < keyActions.length; i++)
+    {
+        keyBindings[keyActions[i].name] = keyActions[i].defaultKeys.slice();
+    }
+    var json = localStorage.getItem(KEY_BINDINGS_STORAGE_KEY);
+    if (json === null)
+    {
+        return;
+    }
+    try
+    {
+        var savedBindings = JSON.parse(json);
+        for (var name in savedBindings)
+        {
+            if (!keyBindings.hasOwnProperty(name))
+            {
+                continue;
+            }
+            if (typeof savedBindings[name] === "string")
+            {
+                keyBindings[name] = (savedBindings[name] === "") ? [] : [savedBindings[name]];
+            }
+            else if (Array.isArray(savedBindings[name]))
+            {
+                keyBindings[name] = savedBindings[name].filter(function (key) { return typeof key === "string"; });
+            }
+        }
+    }
+    catch (error)
+    {
+        // KEEP THE DEFAULT KEYS
+    }
+}
+
+/*
+ * This function puts the key bindings in local storage, so they're
+ * used again the next time the page is loaded.
+ */
+function storeKeyBindings()
+{
+    try
+    {
+        localStorage.setItem(KEY_BINDINGS_STORAGE_KEY, JSON.stringify(keyBindings));
+    }
+    catch (error)
+    {
+        setStatusMessage("key_help_status", "The browser couldn't store the keys: " + error.message, true);
+    }
+}
+
+/*
+ * This function starts picking a new key for the action named by the
+ * argument. The next key pressed is the one it's bound to.
+ */
+function startRemapping(actionName)
+{
+    remappingAction = actionName;
+    refreshKeyHelp();
+}
+
+/*
+ * This function binds the action being remapped to the key named by the
+ * argument, in place of the keys it had, unbinding the key from whatever
+ * action it was bound to before. Escape gives up on picking a key instead.
+ */
+function finishRemapping(keyName)
+{
+    if (keyName !== "escape")
+    {
+        for (var name in keyBindings)
+        {
+            keyBindings[name] = keyBindings[name].filter(function (key) { return key !== keyName; });
+        }
+        keyBindings[remappingAction] = [keyName];
+        storeKeyBindings();
+    }
+    remappingAction = null;
+    refreshKeyHelp();
+}
+
+/*
+ * This is the event handler for the help overlay's "Default Keys" button,
+ * which forgets all the keys the user picked.
+ */
+function respondToResetKeys()
+{
+    localStorage.removeItem(KEY_BINDINGS_STORAGE_KEY);
+    remappingAction = null;
+    loadKeyBindings();
+    refreshKeyHelp();
+}
+
+/*
+ * This function shows the help overlay if it's hidden and hides it if
+ * it's showing, which also gives up on picking a key.
+ */
+function toggleKeyHelp()
+{
+    var overlay = document.getElementById("key_help_overlay");
+    remappingAction = null;
+    if (overlay.className === "open")
+    {
+        overlay.className = "";
+        return;
+    }
+    refreshKeyHelp();
+    overlay.className = "open";
+}
+
+/*
+ * This function fills the help overlay's table with every action and the
+ * key it's bound to. Clicking on a key picks a new one for its action.
+ */
+function refreshKeyHelp()
+{
+    var table = document.getElementById("key_help_table");
+    table.innerHTML = "";
+    for (var i = 0; i < keyActions.length; i++)
+    {
+        var action = keyActions[i];
+        var row = document.createElement("tr");
+        var descriptionCell = document.createElement("td");
+        descriptionCell.textContent = action.description;
+        row.appendChild(descriptionCell);
+        var keyCell = document.createElement("td");
+        var keyButton = document.createElement("input");
+        keyButton.type = "button";
+        if (action.name === remappingAction)
+        {
+            keyButton.value = "Press a key...";
+        }
+        else
+        {
+            keyButton.value = (keyBindings[action.name].length === 0) ? "(none)" : keyBindings[action.name].join(" or ");
+        }
+        keyButton.onclick = createRemappingHandler(action.name);
+        keyCell.appendChild(keyButton);
+        row.appendChild(keyCell);
+        table.appendChild(row);
+    }
+    setStatusMessage("key_help_status", (remappingAction !== null) ? "Press Escape to keep the old key" : "", false);
+}
+
+/*
+ * Helper for refreshKeyHelp, it makes the event handler for the key
+ * button of the action named by the argument.
+ */
+function createRemappingHandler(actionName)
+{
+    return function () { startRemapping(actionName); };
+}
+
+/*
+ * This function starts the simulation if it's paused, and pauses
+ * it if it's running.
+ */
+function toggleGameOfLife()
+{
+    if (timer === null)
+    {
+        startGameOfLife();
+    }
+    else
+    {
+        pauseGameOfLife();
+    }
+}
+
+/*
+ * This function moves the view by a fraction of the canvas, in the
+ * direction given by the arguments, each of which is -1, 0 or 1.
+ */
+function panView(colDirection, rowDirection)
+{
+    var panCols = Math.max(1, Math.round((canvasWidth / cellLength) * PAN_KEY_FRACTION));
+    var panRows = Math.max(1, Math.round((canvasHeight / cellLength) * PAN_KEY_FRACTION));
+    setViewport(viewportCol + (colDirection * panCols), viewportRow + (rowDirection * panRows));
+}
+
+/*
+ * This function selects the pattern the step argument away from the
+ * selected one in the drop down list, going around from one end of the
+ * list to the other.
+ */
+function selectAdjacentPattern(step)
+{
+    var patternsList = document.getElementById("game_of_life_patterns");
+    var numPatterns = patternsList.options.length;
+    patternsList.selectedIndex = (patternsList.selectedIndex + step + numPatterns) % numPatterns;
+    renderGhostPattern();
+}
+
+/*
+ * This function moves the keyboard cursor by the arguments, starting it
+ * in the middle of the view the first time. The view follows the cursor
+ * when it goes past the edge, and the pattern's ghost follows it too.
+ */
+function moveKeyboardCursor(rowChange, colChange)
+{
+    if (keyboardCursor === null)
+    {
+        keyboardCursor = { row: viewportRow + Math.floor(getVisibleRows() / 2),
+                           col: viewportCol + Math.floor(getVisibleCols() / 2) };
+    }
+    else if (board.isValidCell(keyboardCursor.row + rowChange, keyboardCursor.col + colChange))
+    {
+        keyboardCursor.row += rowChange;
+        keyboardCursor.col += colChange;
+    }
+
+    // KEEP THE CURSOR IN VIEW
+    var newViewportCol = Math.min(viewportCol, keyboardCursor.col);
+    newViewportCol = Math.max(newViewportCol, keyboardCursor.col - getVisibleCols() + 1);
+    var newViewportRow = Math.min(viewportRow, keyboardCursor.row);
+    newViewportRow = Math.max(newViewportRow, keyboardCursor.row - getVisibleRows() + 1);
+    if ((newViewportCol !== viewportCol) || (newViewportRow !== viewportRow))
+    {
+        setViewport(newViewportCol, newViewportRow);
+    }
+    else
+    {
+        renderGame();
+    }
+    lastMouseCol = keyboardCursor.col;
+    lastMouseRow = keyboardCursor.row;
+    renderGhostPattern();
+}
+
+/*
+ * This function places the selected pattern at the keyboard cursor,
+ * as a single edit.
+ */
+function placeAtKeyboardCursor()
+{
+    if (keyboardCursor === null)
+    {
+        return false;
+    }
+    beginEdit();
+    placeSelectedPattern(keyboardCursor.col, keyboardCursor.row);
+    commitEdit();
+}
+
+/*
+ * Helper for the selection key actions, it calls the function argument
+ * if there's a selection, and returns false if there isn't.
+ */
+function doWithSelection(selectionFunction)
+{
+    if (selection === null)
+    {
+        return false;
+    }
+    selectionFunction();
+}
+
+// TOOL AND SELECTION METHODS
+
+/*
+ * This function makes the tool argument the one used on the canvas, and
+ * makes the tool drop down list show it. Only the stamp tool has a ghost.
+ */
+function setTool(newTool)
+{
+    tool = newTool;
+    document.getElementById("tool_select").value = tool;
+    resetGhostCanvas();
+    renderGhostPattern();
+}
+
+/*
+ * This function starts a pencil or eraser stroke at the cell argument.
+ * The whole stroke is undone as one edit.
+ */
+function startStroke(cell)
+{
+    beginEdit();
+    strokeCell = cell;
+    drawStrokeCell(cell.row, cell.col);
+    strokeChanged();
+}
+
+/*
+ * This function carries the stroke on to the cell argument, drawing every
+ * cell on the line from the last one, so moving the mouse quickly between
+ * two samples doesn't leave a gap.
+ */
+function continueStroke(cell)
+{
+    forEachCellOnLine(strokeCell.row, strokeCell.col, cell.row, cell.col, drawStrokeCell);
+    strokeCell = cell;
+    strokeChanged();
+}
+
+/*
+ * This function finishes the stroke, if one was being drawn.
+ */
+function finishStroke()
+{
+    if (strokeCell === null)
+    {
+        return;
+    }
+    strokeCell = null;
+    commitEdit();
+}
+
+/*
+ * This function brings the cell at (row, col) to life with the pencil
+ * or kills it with the eraser. Void cells are left alone.
+ */
+function drawStrokeCell(row, col)
+{
+    if (!board.isValidCell(row, col) || (board.getCell(col, row) === VOID_CELL))
+    {
+        return;
+    }
+    var cell = (tool === TOOL_PENCIL) ? LIVE_CELL : DEAD_CELL;
+    recordCellForEdit(row, col);
+    board.setCell(col, row, cell);
+    unsentStrokeCells.indices.push(board.getCellIndex(row, col));
+    unsentStrokeCells.cells.push(cell);
+}
+
+/*
+ * Helper for the stroke methods, it shows the cells just drawn right away
+ * and, if the simulation is running, has it carry on from them. A worker
+ * that's running the simulation is only sent the cells drawn, so it
+ * doesn't have to start over from the whole board every time the mouse
+ * moves.
+ */
+function strokeChanged()
+{
+    if ((timer !== null) && (simulationWorker !== null) && !simulationChanged)
+    {
+        sendStrokeCells();
+        markBoardChanged();
+    }
+    else
+    {
+        markSimulationChanged();
+    }
+    unsentStrokeCells = { indices: new Array(), cells: new Array() };
+    renderGame();
+}
+
+/*
+ * This function calls callback(row, col) for each cell on the line from
+ * (fromRow, fromCol) to (toRow, toCol), including both ends, using
+ * Bresenham's line algorithm.
+ */
+function forEachCellOnLine(fromRow, fromCol, toRow, toCol, callback)
+{
+    var rowDistance = Math.abs(toRow - fromRow);
+    var colDistance = Math.abs(toCol - fromCol);
+    var rowStep = (fromRow < toRow) ? 1 : -1;
+    var colStep = (fromCol < toCol) ? 1 : -1;
+    var error = colDistance - rowDistance;
+    var row = fromRow;
+    var col = fromCol;
+    while (true)
+    {
+        callback(row, col);
+        if ((row === toRow) && (col === toCol))
+        {
+            return;
+        }
+        var doubleError = error * 2;
+        if (doubleError > -rowDistance)
+        {
+            error -= rowDistance;
+            col += colStep;
+        }
+        if (doubleError < colDistance)
+        {
+            error += colDistance;
+            row += rowStep;
+        }
+    }
+}
+
+/*
+ * This function starts dragging out a new selection at the cell argument.
+ */
+function startSelection(cell)
+{
+    selectionAnchor = cell;
+    continueSelection(cell);
+}
+
+/*
+ * This function stretches the selection being dragged out from the cell
+ * the drag started at to the cell argument, in whichever direction.
+ */
+function continueSelection(cell)
+{
+    selection = { row: Math.min(selectionAnchor.row, cell.row),
+                  col: Math.min(selectionAnchor.col, cell.col),
+                  rows: Math.abs(cell.row - selectionAnchor.row) + 1,
+                  cols: Math.abs(cell.col - selectionAnchor.col) + 1 };
+    renderGame();
+}
+
+/*
+ * This function finishes dragging out the selection, if one was
+ * being dragged out.
+ */
+function finishSelection()
+{
+    if (selectionAnchor === null)
+    {
+        return;
+    }
+    selectionAnchor = null;
+    updateSelectionButtons();
+    setStatusMessage("selection_status", selection.cols + "x" + selection.rows + " cells selected", false);
+}
+
+/*
+ * This function unselects everything.
+ */
+function clearSelection()
+{
+    selection = null;
+    selectionAnchor = null;
+    updateSelectionButtons();
+    setStatusMessage("selection_status", "", false);
+    renderGame();
+}
+
+/*
+ * This function calls callback(row, col) for every cell in the selection
+ * that's in the world.
+ */
+function forEachSelectedCell(callback)
+{
+    for (var i = selection.row; i < selection.row + selection.rows; i++)
+    {
+        for (var j = selection.col; j < selection.col + selection.cols; j++)
+        {
+            if (board.isValidCell(i, j))
+            {
+                callback(i, j);
+            }
+        }
+    }
+}
+
+/*
+ * This function collects the coordinates of the live cells in the
+ * selection, relative to its top, left corner, as pattern pixels.
+ */
+function getSelectionPixels()
+{
+    var pixels = new Array();
+    forEachSelectedCell(function (row, col)
+    {
+        if (board.getCell(col, row) === LIVE_CELL)
+        {
+            pixels.push(col - selection.col);
+            pixels.push(row - selection.row);
+        }
+    });
+    return pixels;
+}
+
+/*
+ * This function changes every cell in the selection that isn't void to
+ * the value returned by getNewCell(), as a single edit.
+ */
+function editSelection(getNewCell)
+{
+    beginEdit();
+    forEachSelectedCell(function (row, col)
+    {
+        if (board.getCell(col, row) === VOID_CELL)
+        {
+            return;
+        }
+        recordCellForEdit(row, col);
+        var cell = getNewCell();
+        board.setCell(col, row, cell);
+    });
+    commitEdit();
+    renderGame();
+}
+
+/*
+ * This is the event handler for the "Copy" button. It puts the live
+ * cells in the selection on the clipboard.
+ */
+function copySelection()
+{
+    if (selection === null)
+    {
+        return;
+    }
+    clipboard = getSelectionPixels();
+    updateSelectionButtons();
+    setStatusMessage("selection_status", "Copied " + (clipboard.length / 2) + " live cells", false);
+}
+
+/*
+ * This is the event handler for the "Cut" button. It copies the
+ * selection and then kills its live cells.
+ */
+function cutSelection()
+{
+    if (selection === null)
+    {
+        return;
+    }
+    copySelection();
+    editSelection(function () { return DEAD_CELL; });
+}
+
+/*
+ * This is the event handler for the "Delete" button. It kills the live
+ * cells in the selection, leaving the void cells where they are.
+ */
+function deleteSelection()
+{
+    if (selection === null)
+    {
+        return;
+    }
+    editSelection(function () { return DEAD_CELL; });
+}
+
+/*
+ * This is the event handler for the "Fill Random" button. It makes each
+ * cell in the selection that isn't void live or dead at random.
+ */
+function fillSelectionRandomly()
+{
+    if (selection === null)
+    {
+        return;
+    }
+    editSelection(function ()
+    {
+        return (Math.random() < RANDOM_FILL_DENSITY) ? LIVE_CELL : DEAD_CELL;
+    });
+}
+
+/*
+ * This is the event handler for the "Paste" button. The clipboard becomes
+ * the selected pattern and the stamp tool is picked, so it follows the
+ * mouse as a ghost, can be turned like any other pattern, and is placed
+ * with a click.
+ */
+function pasteClipboard()
+{
+    if ((clipboard === null) || (clipboard.length === 0))
+    {
+        setStatusMessage("selection_status", "There are no live cells to paste", true);
+        return;
+    }
+    addPatternToList(CLIPBOARD_PATTERN_KEY, "Clipboard", clipboard);
+    setTool(TOOL_STAMP);
+    setStatusMessage("selection_status", "Click where the clipboard should go", false);
+}
+
+/*
+ * This is the event handler for the "Save as Pattern" button. The live
+ * cells in the selection are added to the patterns drop down list, under
+ * the name typed in, and saved in local storage so they're still there
+ * when the page is loaded again, asking first before replacing a saved
+ * pattern that's already there.
+ */
+function saveSelectionAsPattern()
+{
+    if (selection === null)
+    {
+        return;
+    }
+    var name = document.getElementById("selection_name_textfield").value.trim();
+    if (name.length === 0)
+    {
+        setStatusMessage("selection_status", "Type a name for the pattern first", true);
+        return;
+    }
+    var pixels = normalizePattern(getSelectionPixels());
+    if (pixels.length === 0)
+    {
+        setStatusMessage("selection_status", "There are no live cells in the selection", true);
+        return;
+    }
+    var savedPatterns = loadSavedPatterns();
+    if ((savedPatterns[name] !== undefined) && !confirm("Replace the saved pattern \"" + name + "\"?"))
+    {
+        return;
+    }
+    savedPatterns[name] = pixels;
+    if (storeSavedPatterns(savedPatterns, "selection_status"))
+    {
+        addPatternToList(SAVED_PATTERN_KEY_PREFIX + name, name, pixels);
+        setStatusMessage("selection_status", "Saved " + name + " with " + (pixels.length / 2) + " live cells", false);
+    }
+}
+
+/*
+ * This function gets the patterns saved from the board out of local
+ * storage, as an object with the pixels of each, by name.
+ */
+function loadSavedPatterns()
+{
+    var json = localStorage.getItem(SAVED_PATTERNS_STORAGE_KEY);
+    if (json === null)
+    {
+        return {};
+    }
+    try
+    {
+        return JSON.parse(json);
+    }
+    catch (error)
+    {
+        return {};
+    }
+}
+
+/*
+ * This function puts the saved patterns argument in local storage,
+ * replacing what was there. Returns false if the browser wouldn't
+ * store them, saying why in the status element with the statusId
+ * argument.
+ */
+function storeSavedPatterns(savedPatterns, statusId)
+{
+    try
+    {
+        localStorage.setItem(SAVED_PATTERNS_STORAGE_KEY, JSON.stringify(savedPatterns));
+        return true;
+    }
+    catch (error)
+    {
+        setStatusMessage(statusId, "The browser couldn't store the pattern: " + error.message, true);
+        return false;
+    }
+}
+
+/*
+ * Enables the selection buttons only when there's a selection, and
+ * the paste button only when something's been copied.
+ */
+function updateSelectionButtons()
+{
+    var noSelection = (selection === null);
+    document.getElementById("copy_button").disabled = noSelection;
+    document.getElementById("cut_button").disabled = noSelection;
+    document.getElementById("delete_selection_button").disabled = noSelection;
+    document.getElementById("fill_random_button").disabled = noSelection;
+    document.getElementById("save_selection_button").disabled = noSelection;
+    document.getElementById("paste_button").disabled = (clipboard === null);
+}
+
+// PATTERN EDITOR METHODS
+
+/*
+ * This is the event handler for clicks on the pattern editor's grid,
+ * which bring the clicked cell to life or kill it. Clicking during a
+ * preview stops it first, so it's the pattern itself that's edited.
+ */
+function respondToEditorClick(event)
+{
+    stopEditorPreview();
+    var canvasCoords = getRelativeCoords(event);
+    var col = Math.floor(canvasCoords.x / editorCellLength);
+    var row = Math.floor(canvasCoords.y / editorCellLength);
+    if ((row < 0) || (row >= EDITOR_ROWS) || (col < 0) || (col >= EDITOR_COLS))
+    {
+        return;
+    }
+    var index = (row * EDITOR_COLS) + col;
+    editorCells[index] = (editorCells[index] === LIVE_CELL) ? DEAD_CELL : LIVE_CELL;
+    renderPatternEditor();
+}
+
+/*
+ * This is the event handler for the editor's "Edit Selected" button. It
+ * puts the pattern selected in the patterns drop down list, turned the
+ * way it's about to be placed, in the middle of the editor so it can be
+ * changed and saved as a new pattern.
+ */
+function respondToEditorLoad()
+{
+    var pixels = getSelectedPixels();
+    var bounds = getPatternBounds(pixels);
+    if ((bounds.width > EDITOR_COLS) || (bounds.height > EDITOR_ROWS))
+    {
+        setStatusMessage("editor_status", "That pattern is too big for the editor, which is "
+                            + EDITOR_COLS + "x" + EDITOR_ROWS, true);
+        return;
+    }
+    stopEditorPreview();
+    editorCells.fill(DEAD_CELL);
+    var left = Math.floor((EDITOR_COLS - bounds.width) / 2);
+    var top = Math.floor((EDITOR_ROWS - bounds.height) / 2);
+    for (var i = 0; i < pixels.length; i += 2)
+    {
+        editorCells[((top + pixels[i + 1]) * EDITOR_COLS) + left + pixels[i]] = LIVE_CELL;
+    }
+    var patternsList = document.getElementById("game_of_life_patterns");
+    document.getElementById("editor_name_textfield").value = patternsList.options[patternsList.selectedIndex].text;
+    setStatusMessage("editor_status", "", false);
+    renderPatternEditor();
+}
+
+/*
+ * This is the event handler for the editor's "Clear" button.
+ */
+function respondToEditorClear()
+{
+    stopEditorPreview();
+    editorCells.fill(DEAD_CELL);
+    setStatusMessage("editor_status", "", false);
+    renderPatternEditor();
+}
+
+/*
+ * This is the event handler for the editor's "Preview" button, which
+ * starts the pattern evolving in the editor, under the active rule, or
+ * stops it and shows the pattern as it was drawn again.
+ */
+function respondToEditorPreview()
+{
+    if (editorPreviewTimer !== null)
+    {
+        stopEditorPreview();
+        renderPatternEditor();
+        return;
+    }
+    editorPreviewCells = new Uint8Array(editorCells);
+    editorPreviewGeneration = 0;
+    editorPreviewTimer = setInterval(stepEditorPreview, frameInterval);
+    document.getElementById("editor_preview_button").value = "Stop";
+    renderPatternEditor();
+}
+
+/*
+ * This function stops the preview, if it's running.
+ */
+function stopEditorPreview()
+{
+    if (editorPreviewTimer === null)
+    {
+        return;
+    }
+    clearInterval(editorPreviewTimer);
+    editorPreviewTimer = null;
+    editorPreviewCells = null;
+    document.getElementById("editor_preview_button").value = "Preview";
+}
+
+/*
+ * Called on a timed basis during the preview, this function moves the
+ * previewed pattern on a generation. The editor's grid is a small plane,
+ * so anything that reaches its edges is cut off.
+ */
+function stepEditorPreview()
+{
+    var nextCells = new Uint8Array(editorPreviewCells.length);
+    for (var row = 0; row < EDITOR_ROWS; row++)
+    {
+        for (var col = 0; col < EDITOR_COLS; col++)
+        {
+            var numLivingNeighbors = 0;
+            for (var i = Math.max(0, row - 1); i <= Math.min(EDITOR_ROWS - 1, row + 1); i++)
+            {
+                for (var j = Math.max(0, col - 1); j <= Math.min(EDITOR_COLS - 1, col + 1); j++)
+                {
+                    if ((i !== row) || (j !== col))
+                    {
+                        numLivingNeighbors += NEIGHBOR_WEIGHTS[editorPreviewCells[(i * EDITOR_COLS) + j]];
+                    }
+                }
+            }
+            var index = (row * EDITOR_COLS) + col;
+            nextCells[index] = board.calcNextCellState(editorPreviewCells[index], numLivingNeighbors);
+        }
+    }
+    editorPreviewCells = nextCells;
+    editorPreviewGeneration++;
+    renderPatternEditor();
+}
+
+/*
+ * This function collects the coordinates of the live cells drawn in the
+ * editor, moved to the top, left corner, as pattern pixels.
+ */
+function getEditorPixels()
+{
+    var pixels = new Array();
+    for (var index = 0; index < editorCells.length; index++)
+    {
+        if (editorCells[index] === LIVE_CELL)
+        {
+            pixels.push(index % EDITOR_COLS);
+            pixels.push(Math.floor(index / EDITOR_COLS));
+        }
+    }
+    return normalizePattern(pixels);
+}
+
+/*
+ * This is the event handler for the editor's "Save" button. The pattern
+ * is added to the patterns drop down list, under the name typed in, and
+ * saved in local storage along with the patterns saved from the board,
+ * asking first before replacing one that's already there.
+ */
+function respondToEditorSave()
+{
+    var name = document.getElementById("editor_name_textfield").value.trim();
+    if (name.length === 0)
+    {
+        setStatusMessage("editor_status", "Type a name for the pattern first", true);
+        return;
+    }
+    var pixels = getEditorPixels();
+    if (pixels.length === 0)
+    {
+        setStatusMessage("editor_status", "Click on the grid to draw the pattern first", true);
+        return;
+    }
+    var savedPatterns = loadSavedPatterns();
+    if ((savedPatterns[name] !== undefined) && !confirm("Replace the saved pattern \"" + name + "\"?"))
+    {
+        return;
+    }
+    savedPatterns[name] = pixels;
+    if (storeSavedPatterns(savedPatterns, "editor_status"))
+    {
+        addPatternToList(SAVED_PATTERN_KEY_PREFIX + name, name, pixels);
+        setStatusMessage("editor_status", "Saved " + name + " with " + (pixels.length / 2) + " live cells", false);
+    }
+}
+
+/*
+ * This is the event handler for the editor's "Export RLE" button, which
+ * downloads the pattern being drawn as an RLE file.
+ */
+function respondToEditorExport()
+{
+    var pixels = getEditorPixels();
+    if (pixels.length === 0)
+    {
+        setStatusMessage("editor_status", "Click on the grid to draw the pattern first", true);
+        return;
+    }
+    var name = document.getElementById("editor_name_textfield").value.trim() || "Pattern";
+    var rle = encodeRLE(pixels, name, board.getRule());
+    downloadTextFile(name.replace(/[^A-Za-z0-9_-]+/g, "_") + ".rle", rle, "text/plain");
+    setStatusMessage("editor_status", "Exported " + name, false);
+}
+
+/*
+ * Renders the pattern editor's grid, showing the preview's generation
+ * instead of the pattern while the preview is running.
+ */
+function renderPatternEditor()
+{
+    var cells = (editorPreviewCells !== null) ? editorPreviewCells : editorCells;
+    editorPixels.fill(packPixelColor(EDITOR_BACKGROUND_COLOR));
+    for (var row = 0; row < EDITOR_ROWS; row++)
+    {
+        for (var col = 0; col < EDITOR_COLS; col++)
+        {
+            var color = cellColors[cells[(row * EDITOR_COLS) + col]];
+            if (color === 0)
+            {
+                continue;
+            }
+            for (var y = row * editorCellLength; y < (row + 1) * editorCellLength; y++)
+            {
+                var rowStart = (y * editorCanvas.width) + (col * editorCellLength);
+                editorPixels.fill(color, rowStart, rowStart + editorCellLength);
+            }
+        }
+    }
+    editorCanvas2D.putImageData(editorImageData, 0, 0);
+
+    // THE GRID LINES GO ON TOP
+    editorCanvas2D.strokeStyle = GRID_LINES_COLOR;
+    editorCanvas2D.beginPath();
+    for (var i = 0; i <= EDITOR_ROWS; i++)
+    {
+        editorCanvas2D.moveTo(0, (i * editorCellLength) + 0.5);
+        editorCanvas2D.lineTo(EDITOR_COLS * editorCellLength, (i * editorCellLength) + 0.5);
+    }
+    for (var j = 0; j <= EDITOR_COLS; j++)
+    {
+        editorCanvas2D.moveTo((j * editorCellLength) + 0.5, 0);
+        editorCanvas2D.lineTo((j * editorCellLength) + 0.5, EDITOR_ROWS * editorCellLength);
+    }
+    editorCanvas2D.stroke();
+
+    // AND SO DOES THE PREVIEW'S GENERATION
+    if (editorPreviewCells !== null)
+    {
+        editorCanvas2D.fillStyle = TEXT_COLOR;
+        editorCanvas2D.fillText("Generation: " + editorPreviewGeneration, 4, editorCanvas.height - 4);
+    }
+}
+
+// STATISTICS METHODS
+
+/*
+ * This function adds a generation's statistics to the list of samples,
+ * dropping the oldest sample if there are too many. The bounds argument
+ * is the bounding box of the live cells, as built by addToBounds.
+ */
+function recordStatistics(population, births, deaths, bounds)
+{
+    statistics.push({ generation: board.generation,
+                      population: population,
+                      births: births,
+                      deaths: deaths,
+                      minCol: bounds.minCol,
+                      minRow: bounds.minRow,
+                      maxCol: bounds.maxCol,
+                      maxRow: bounds.maxRow });
+    if (statistics.length > MAX_STATISTICS_SAMPLES)
+    {
+        statistics.shift();
+    }
+}
+
+/*
+ * The simulation keeps the statistics up to date by itself, but when the
+ * board is changed some other way, like an edit or a step back, we need
+ * to count the live cells again. This replaces the sample for the current
+ * generation, dropping any samples for generations after it, keeping
+ * the births and deaths since those came from the simulation.
+ */
+function refreshStatistics()
+{
+    var births = 0;
+    var deaths = 0;
+    while ((statistics.length > 0) && (statistics[statistics.length - 1].generation >= board.generation))
+    {
+        var sample = statistics.pop();
+        if (sample.generation === board.generation)
+        {
+            births = sample.births;
+            deaths = sample.deaths;
+        }
+    }
+
+    // COUNT THE LIVE CELLS
+    var population = 0;
+    var bounds = createBounds();
+    board.forEachIndexedCell(function (index, value)
+    {
+        if (value === LIVE_CELL)
+        {
+            population++;
+            addToBounds(bounds, board.getIndexRow(index), board.getIndexCol(index));
+        }
+    });
+    recordStatistics(population, births, deaths, bounds);
+}
+
+/*
+ * This function shows the latest statistics in the statistics panel
+ * and draws the population chart, which scrolls along showing one
+ * generation per pixel, scaled to fit the largest population shown.
+ */
+function renderStatistics()
+{
+    var sample = statistics[statistics.length - 1];
+    document.getElementById("statistics_generation").textContent = sample.generation;
+    document.getElementById("statistics_population").textContent = sample.population;
+    document.getElementById("statistics_births").textContent = sample.births;
+    document.getElementById("statistics_deaths").textContent = sample.deaths;
+    if (sample.population === 0)
+    {
+        document.getElementById("statistics_bounds").textContent = "none";
+    }
+    else
+    {
+        document.getElementById("statistics_bounds").textContent =
+              "(" + sample.minCol + ", " + sample.minRow + ") to ("
+            + sample.maxCol + ", " + sample.maxRow + "), "
+            + (sample.maxCol - sample.minCol + 1) + "x" + (sample.maxRow - sample.minRow + 1);
+    }
+
+    // FIGURE OUT WHICH SAMPLES FIT ON THE CHART AND HOW TO SCALE THEM
+    var chartWidth = chartCanvas.width;
+    var chartHeight = chartCanvas.height;
+    var first = Math.max(0, statistics.length - chartWidth);
+    var maxPopulation = 1;
+    for (var i = first; i < statistics.length; i++)
+    {
+        maxPopulation = Math.max(maxPopulation, statistics[i].population);
+    }
+
+    // AND DRAW THEM
+    chartCanvas2D.fillStyle = CHART_BACKGROUND_COLOR;
+    chartCanvas2D.fillRect(0, 0, chartWidth, chartHeight);
+    chartCanvas2D.strokeStyle = CHART_LINE_COLOR;
+    chartCanvas2D.beginPath();
+    for (var j = first; j < statistics.length; j++)
+    {
+        var x = j - first;
+        var y = chartHeight - 1 - ((statistics[j].population / maxPopulation) * (chartHeight - 2));
+        if (j === first)
+        {
+            chartCanvas2D.moveTo(x, y);
+        }
+        else
+        {
+            chartCanvas2D.lineTo(x, y);
+        }
+    }
+    chartCanvas2D.stroke();
+    document.getElementById("statistics_chart_max").textContent = maxPopulation;
+    document.getElementById("statistics_cycle").textContent = getCycleDescription();
+}
+
+// CYCLE DETECTION METHODS
+
+/*
+ * This function forgets the hashes of the generations seen so far, and
+ * any cycle they made. It's called when the board is changed by something
+ * other than the simulation, like an edit, a step back or a new rule.
+ */
+function resetCycleDetection()
+{
+    boardHashValid = false;
+    seenBoardHashes = new Map();
+    seenBoardHashOrder = new Array();
+    cycle = null;
+}
+
+/*
+ * Called after each generation with the changes argument made by the
+ * engine, this function updates the board's hash and looks it up among
+ * the recent generations' hashes. If the board was the same before, it's
+ * a cycle, which pauses the simulation if the user asked for that.
+ */
+function detectCycle(changes)
+{
+    if (boardHashValid)
+    {
+        updateBoardHash(changes.changedIndices, changes.previousCells, changes.newCells);
+    }
+    else
+    {
+        // HASH THE WHOLE BOARD, AND WORK BACK TO THE ONE BEFORE THIS
+        // GENERATION SO AN EDITED BOARD THAT NEVER CHANGES IS CAUGHT
+        calcBoardHash();
+        updateBoardHash(changes.changedIndices, changes.newCells, changes.previousCells);
+        rememberBoardHash(board.generation - 1);
+        updateBoardHash(changes.changedIndices, changes.previousCells, changes.newCells);
+        boardHashValid = true;
+    }
+    var firstGeneration = seenBoardHashes.get(getBoardHashKey());
+    if (firstGeneration === undefined)
+    {
+        rememberBoardHash(board.generation);
+        return;
+    }
+
+    // WE ONLY REPORT A CYCLE THE FIRST TIME AROUND
+    if (cycle !== null)
+    {
+        return;
+    }
+    cycle = { period: board.generation - firstGeneration,
+              firstGeneration: firstGeneration,
+              population: changes.population };
+    if (document.getElementById("auto_pause_checkbox").checked && (timer !== null))
+    {
+        pauseGameOfLife();
+    }
+}
+
+/*
+ * Returns what the cycle detection found, for the statistics panel.
+ */
+function getCycleDescription()
+{
+    if (cycle === null)
+    {
+        return "Not repeating";
+    }
+    if ((cycle.period === 1) && (cycle.population === 0))
+    {
+        return "Died out at generation " + cycle.firstGeneration;
+    }
+    if (cycle.period === 1)
+    {
+        return "Stable, first seen at generation " + cycle.firstGeneration;
+    }
+    return "Period " + cycle.period + " oscillation, first seen at generation " + cycle.firstGeneration;
+}
+
+/*
+ * This function remembers that the board's current hash was seen at the
+ * generation argument, forgetting the oldest hash if there are too many.
+ */
+function rememberBoardHash(hashGeneration)
+{
+    var key = getBoardHashKey();
+    if (seenBoardHashes.has(key))
+    {
+        return;
+    }
+    seenBoardHashes.set(key, hashGeneration);
+    seenBoardHashOrder.push(key);
+    if (seenBoardHashOrder.length > MAX_CYCLE_PERIOD)
+    {
+        seenBoardHashes.delete(seenBoardHashOrder.shift());
+    }
+}
+
+/*
+ * Returns the board's hash as a string we can use as a Map key.
+ */
+function getBoardHashKey()
+{
+    return boardHashLow + ":" + boardHashHigh;
+}
+
+/*
+ * This function hashes the whole board, which is the sum of the hashes
+ * of its cells that aren't dead, live, void and dying cells alike.
+ */
+function calcBoardHash()
+{
+    boardHashLow = 0;
+    boardHashHigh = 0;
+    board.forEachIndexedCell(function (index, value)
+    {
+        boardHashLow = (boardHashLow + hashCell(index, value, HASH_SEED_LOW)) >>> 0;
+        boardHashHigh = (boardHashHigh + hashCell(index, value, HASH_SEED_HIGH)) >>> 0;
+    });
+}
+
+/*
+ * Since the board's hash is a sum this function can update it for cells
+ * that changed from the oldCells argument's values to the newCells
+ * argument's values by taking their old hashes out and adding their new
+ * ones, rather than hashing the whole board again.
+ */
+function updateBoardHash(indices, oldCells, newCells)
+{
+    for (var i = 0; i < indices.length; i++)
+    {
+        if (oldCells[i] !== DEAD_CELL)
+        {
+            boardHashLow = (boardHashLow - hashCell(indices[i], oldCells[i], HASH_SEED_LOW)) >>> 0;
+            boardHashHigh = (boardHashHigh - hashCell(indices[i], oldCells[i], HASH_SEED_HIGH)) >>> 0;
+        }
+        if (newCells[i] !== DEAD_CELL)
+        {
+            boardHashLow = (boardHashLow + hashCell(indices[i], newCells[i], HASH_SEED_LOW)) >>> 0;
+            boardHashHigh = (boardHashHigh + hashCell(indices[i], newCells[i], HASH_SEED_HIGH)) >>> 0;
+        }
+    }
+}
+
+/*
+ * Returns a 32 bit hash of the cell at the index argument having the
+ * value argument, mixed so that nearby cells' hashes look unrelated.
+ * The sparse engine's indices are too big for 32 bits, so the top part
+ * is mixed in separately.
+ */
+function hashCell(index, value, seed)
+{
+    var hash = Math.imul((index % 4294967296) ^ seed, 0x9E3779B1);
+    hash ^= Math.floor(index / 4294967296) + (value << 24);
+    hash = Math.imul(hash ^ (hash >>> 15), 0x85EBCA6B);
+    hash = Math.imul(hash ^ (hash >>> 13), 0xC2B2AE35);
+    return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+// CENSUS METHODS
+
+/*
+ * This function returns a JavaScript object for one of the objects the
+ * census knows by name. The pixels are the live cells of one of its
+ * phases, in x, y pairs like any other pattern, and the period is how
+ * many generations it takes to get back to that phase.
+ */
+function KnownObject(initName, initPeriod, initPixels)
+{
+    this.name = initName;
+    this.period = initPeriod;
+    this.pixels = initPixels;
+}
+
+/*
+ * This is the event handler for the Census button. It finds the objects
+ * on the board, counts them in the census panel and outlines them.
+ */
+function respondToCensus()
+{
+    takeCensus();
+    renderGame();
+}
+
+/*
+ * This function splits the board's live cells into objects and names the
+ * ones it knows, whichever way around they are. Objects are cells close
+ * enough to affect each other, so a pattern made of separate pieces, like
+ * a glider gun, is counted as its pieces.
+ */
+function takeCensus()
+{
+    var catalogue = buildCensusCatalogue();
+    var counts = new Map();
+    var unidentified = 0;
+    census = findCensusObjects();
+    for (var i = 0; i < census.length; i++)
+    {
+        var object = census[i];
+        if (object.pixels.length / 2 <= catalogue.maxCells)
+        {
+            var name = catalogue.shapes.get(getCanonicalShape(object.pixels));
+            object.name = (name === undefined) ? null : name;
+        }
+        if (object.name === null)
+        {
+            unidentified++;
+        }
+        else
+        {
+            counts.set(object.name, (counts.has(object.name) ? counts.get(object.name) : 0) + 1);
+        }
+    }
+    renderCensusPanel(counts, unidentified);
+}
+
+/*
+ * This function fills the census panel's table with how many of each
+ * object were found, the most common first, and how many weren't known.
+ */
+function renderCensusPanel(counts, unidentified)
+{
+    var names = Array.from(counts.keys());
+    names.sort(function (a, b)
+    {
+        return (counts.get(b) - counts.get(a)) || a.localeCompare(b);
+    });
+    var table = document.getElementById("census_table");
+    table.innerHTML = "";
+    for (var i = 0; i < names.length; i++)
+    {
+        addCensusRow(table, names[i], counts.get(names[i]));
+    }
+    if (unidentified > 0)
+    {
+        addCensusRow(table, "Unidentified", unidentified);
+    }
+    setStatusMessage("census_status", census.length + " objects at generation " + board.generation, false);
+}
+
+/*
+ * Helper for renderCensusPanel, it adds a row with the name and count
+ * arguments to the table argument.
+ */
+function addCensusRow(table, name, count)
+{
+    var row = document.createElement("tr");
+    var nameCell = document.createElement("td");
+    nameCell.textContent = name + ":";
+    row.appendChild(nameCell);
+    var countCell = document.createElement("td");
+    countCell.textContent = count;
+    row.appendChild(countCell);
+    table.appendChild(row);
+}
+
+/*
+ * This function takes the outlines off the board once it has changed
+ * since the census was taken, leaving the counts with a note saying so.
+ */
+function expireCensus()
+{
+    if (census === null)
+    {
+        return;
+    }
+    census = null;
+    setStatusMessage("census_status", "The board has changed since this census", false);
+}
+
+/*
+ * This function returns the shapes the census knows, in a Map from each
+ * shape's canonical form to its name, along with the number of cells in
+ * the biggest of them. It has every phase of the known objects as well as
+ * the patterns in the drop down list as they're drawn. When two have the
+ * same shape the known object's name is the one used.
+ */
+function buildCensusCatalogue()
+{
+    var catalogue = { shapes: new Map(), maxCells: 0 };
+    for (var i = 0; i < KNOWN_OBJECTS.length; i++)
+    {
+        var known = KNOWN_OBJECTS[i];
+        var world = createWorld({ width: 16, height: 16, rule: DEFAULT_RULE });
+        world.place(known.pixels, 4, 4);
+        for (var phase = 0; phase < known.period; phase++)
+        {
+            addToCensusCatalogue(catalogue, known.name, world.getCells());
+            world.step(1);
+        }
+    }
+    var patternsList = document.getElementById("game_of_life_patterns");
+    for (var i = 0; i < patternsList.options.length; i++)
+    {
+        var key = patternsList.options[i].value;
+        if ((key === "VoidCell.png") || (key === "RemoveVoidCell.png")
+            || (key === CLIPBOARD_PATTERN_KEY) || (patterns[key] === undefined))
+        {
+            continue;
+        }
+        addToCensusCatalogue(catalogue, patternsList.options[i].text, patterns[key]);
+    }
+    return catalogue;
+}
+
+/*
+ * Helper for buildCensusCatalogue, it adds the shape of the pixels
+ * argument to the catalogue under the name argument, unless it's empty
+ * or already there.
+ */
+function addToCensusCatalogue(catalogue, name, pixels)
+{
+    if (pixels.length === 0)
+    {
+        return;
+    }
+    var shape = getCanonicalShape(pixels);
+    if (!catalogue.shapes.has(shape))
+    {
+        catalogue.shapes.set(shape, name);
+        catalogue.maxCells = Math.max(catalogue.maxCells, pixels.length / 2);
+    }
+}
+
+/*
+ * This function returns the same string for a pattern's pixels whichever
+ * way it's turned or flipped, and wherever it is. Each of the 8 ways of
+ * turning and flipping the pattern is moved to (0, 0) and its cells are
+ * sorted, and the first of them in alphabetical order is the one used.
+ */
+function getCanonicalShape(pixels)
+{
+    var transforms = [ [1, 0, 0, 1], [0, -1, 1, 0], [-1, 0, 0, -1], [0, 1, -1, 0],
+                       [-1, 0, 0, 1], [0, 1, 1, 0], [1, 0, 0, -1], [0, -1, -1, 0] ];
+    var canonical = null;
+    for (var i = 0; i < transforms.length; i++)
+    {
+        var t = transforms[i];
+        var transformed = new Array();
+        for (var j = 0; j < pixels.length; j += 2)
+        {
+            transformed.push((t[0] * pixels[j]) + (t[1] * pixels[j + 1]));
+            transformed.push((t[2] * pixels[j]) + (t[3] * pixels[j + 1]));
+        }
+        transformed = normalizePattern(transformed);
+        var cells = new Array();
+        for (var j = 0; j < transformed.length; j += 2)
+        {
+            cells.push(transformed[j] + "," + transformed[j + 1]);
+        }
+        var shape = cells.sort().join(" ");
+        if ((canonical === null) || (shape < canonical))
+        {
+            canonical = shape;
+        }
+    }
+    return canonical;
+}
+
+/*
+ * This function groups the board's live cells into objects, two cells
+ * being in the same object if they're no more than CENSUS_RADIUS cells
+ * apart across and down. It returns an array of the objects, each with
+ * its pixels in x, y pairs and its bounding box. The pixels of an object
+ * that goes across a wrapping edge carry on past it, so it keeps its shape.
+ */
+function findCensusObjects()
+{
+    var liveIndices = new Array();
+    board.forEachIndexedCell(function (index, value)
+    {
+        if (value === LIVE_CELL)
+        {
+            liveIndices.push(index);
+        }
+    });
+
+    var objects = new Array();
+    var visited = new Set();
+    for (var i = 0; i < liveIndices.length; i++)
+    {
+        if (visited.has(liveIndices[i]))
+        {
+            continue;
+        }
+
+        // SPREAD OUT FROM THIS CELL TO ALL THE LIVE CELLS NEAR ENOUGH
+        visited.add(liveIndices[i]);
+        var pixels = [ board.getIndexCol(liveIndices[i]), board.getIndexRow(liveIndices[i]) ];
+        for (var next = 0; next < pixels.length; next += 2)
+        {
+            for (var rowOffset = -CENSUS_RADIUS; rowOffset <= CENSUS_RADIUS; rowOffset++)
+            {
+                for (var colOffset = -CENSUS_RADIUS; colOffset <= CENSUS_RADIUS; colOffset++)
+                {
+                    var col = pixels[next] + colOffset;
+                    var row = pixels[next + 1] + rowOffset;
+                    var wrappedCol = board.wrapCol(col);
+                    var wrappedRow = board.wrapRow(row);
+                    if (board.getCell(wrappedCol, wrappedRow) !== LIVE_CELL)
+                    {
+                        continue;
+                    }
+                    var index = board.getCellIndex(wrappedRow, wrappedCol);
+                    if (!visited.has(index))
+                    {
+                        visited.add(index);
+                        pixels.push(col);
+                        pixels.push(row);
+                    }
+                }
+            }
+        }
+        var bounds = getPatternBounds(pixels);
+        objects.push({ name: null,
+                       pixels: pixels,
+                       col: bounds.minX,
+                       row: bounds.minY,
+                       cols: bounds.width,
+                       rows: bounds.height });
+    }
+    return objects;
+}
+
+// SESSION METHODS
+
+/*
+ * This function builds a snapshot of everything needed to put the board
+ * back the way it is now, i.e. the cells, void cells included, the cell length,
+ * the frame rate, the generation count, the rule, the topology and the
+ * engine. It's a plain object so it can be turned into JSON. The dense
+ * engine's grids are run-length encoded since they're mostly dead cells,
+ * the sparse engine's are lists of the cells that aren't dead.
+ */
+function createSessionSnapshot(name)
+{
+    return {
+        version: SESSION_FORMAT_VERSION,
+        name: name,
+        savedAt: new Date().toISOString(),
+        gridWidth: board.width,
+        gridHeight: board.height,
+        cellLength: cellLength,
+        viewportCol: viewportCol,
+        viewportRow: viewportRow,
+        fps: fps,
+        generation: board.generation,
+        rule: board.getRule(),
+        topology: board.topology,
+        engine: board.engine,
+        renderGrid: (board.engine === ENGINE_SPARSE) ? encodeGridCells(board) : encodeGridRuns(board)
+    };
+}
+
+/*
+ * This function puts the board back the way it was when the snapshot
+ * argument was made by createSessionSnapshot. Returns true if it worked,
+ * false if the snapshot isn't one we can use, in which case the board
+ * is left alone.
+ */
+function restoreSessionSnapshot(snapshot)
+{
+    // MAKE SURE IT'S A SNAPSHOT WE UNDERSTAND
+    if ((snapshot === null) || (typeof snapshot !== "object")
+        || (snapshot.version !== SESSION_FORMAT_VERSION)
+        || !Array.isArray(snapshot.renderGrid))
+    {
+        setSessionStatus("That isn't a saved session this version can load", true);
+        return false;
+    }
+    if ((typeof snapshot.cellLength !== "number")
+        || (snapshot.cellLength < MIN_CELL_LENGTH) || (snapshot.cellLength > MAX_CELL_LENGTH)
+        || !(snapshot.gridWidth > 0) || !(snapshot.gridHeight > 0))
+    {
+        setSessionStatus("That session's board size or cell length is wrong", true);
+        return false;
+    }
+    if ((typeof snapshot.fps !== "number") || !isFinite(snapshot.fps)
+        || (typeof snapshot.generation !== "number") || !isFinite(snapshot.generation))
+    {
+        setSessionStatus("That session's frame rate or generation count is wrong", true);
+        return false;
+    }
+
+    // SESSIONS SAVED BEFORE THERE WAS A CHOICE OF ENGINE USED THE DENSE
+    // ONE, AND THE RULE AND TOPOLOGY WEREN'T IN EVERY SNAPSHOT
+    var restoredBoard;
+    try
+    {
+        restoredBoard = createWorld({ width: WORLD_WIDTH,
+                                      height: WORLD_HEIGHT,
+                                      generation: snapshot.generation,
+                                      rule: (snapshot.rule !== undefined) ? snapshot.rule : board.getRule(),
+                                      topology: (snapshot.topology !== undefined) ? snapshot.topology : board.topology,
+                                      engine: (snapshot.engine === ENGINE_SPARSE) ? ENGINE_SPARSE : ENGINE_DENSE });
+    }
+    catch (error)
+    {
+        setSessionStatus(error.message, true);
+        return false;
+    }
+
+    // SESSIONS SAVED BEFORE THE WORLD HAD A FIXED SIZE, OR WITH A DIFFERENT
+    // WORLD SIZE, GO IN THE TOP, LEFT CORNER OF THE WORLD, CUT DOWN TO FIT.
+    // THE VOID CELLS ARE IN THE CELLS, OLDER SESSIONS ALSO HAVE A voidGrid
+    // WITH THEM ON THEIR OWN, WHICH WE DON'T NEED
+    if (restoredBoard.engine === ENGINE_SPARSE)
+    {
+        decodeGridCells(snapshot.renderGrid, restoredBoard);
+    }
+    else
+    {
+        decodeGridRuns(snapshot.renderGrid, restoredBoard, snapshot.gridWidth);
+    }
+    setBoard(restoredBoard);
+    cellLength = snapshot.cellLength;
+    viewportCol = (snapshot.viewportCol !== undefined) ? snapshot.viewportCol : 0;
+    viewportRow = (snapshot.viewportRow !== undefined) ? snapshot.viewportRow : 0;
+    clearEditHistory();
+
+    // KEEP THE TOOLBAR IN SYNC WITH THE NEW BOARD
+    initCellColors();
+    syncRuleControls();
+    syncEngineControls();
+    document.getElementById("topology_select").value = String(board.topology);
+
+    // AND THE FRAME RATE, RESTARTING THE TIMER IF WE'RE RUNNING
+    fps = Math.max(MIN_FPS, Math.min(MAX_FPS, snapshot.fps));
+    frameInterval = MILLISECONDS_IN_ONE_SECOND/fps;
+    if (timer !== null)
+    {
+        startGameOfLife();
+    }
+    setViewport(viewportCol, viewportRow);
+    return true;
+}
+
+/*
+ * This function run-length encodes the cells of the World argument, which
+ * uses the dense engine, as an array of value, count pairs, which is much
+ * smaller than the grid itself.
+ */
+function encodeGridRuns(world)
+{
+    var runs = new Array();
+    var size = world.width * world.height;
+    var index = 0;
+    while (index < size)
+    {
+        var value = world.getIndexCell(index);
+        var count = 1;
+        while ((index + count < size) && (world.getIndexCell(index + count) === value))
+        {
+            count++;
+        }
+        runs.push(value);
+        runs.push(count);
+        index += count;
+    }
+    return runs;
+}
+
+/*
+ * This function lists the cells of the World argument that aren't dead
+ * as col, row, value triples, which is how sparse grids are saved.
+ */
+function encodeGridCells(world)
+{
+    var cells = new Array();
+    world.forEachCell(function (x, y, value)
+    {
+        cells.push(x);
+        cells.push(y);
+        cells.push(value);
+    });
+    return cells;
+}
+
+/*
+ * This function puts the cells listed by encodeGridCells into the World
+ * argument. Cells that don't fit in it are left out.
+ */
+function decodeGridCells(cells, world)
+{
+    for (var i = 0; i < cells.length; i += 3)
+    {
+        world.setCell(cells[i], cells[i + 1], cells[i + 2]);
+    }
+}
+
+/*
+ * This function fills the empty World argument from runs made by
+ * encodeGridRuns for a grid runsWidth cells wide. Cells that don't fit
+ * in the world are left out.
+ */
+function decodeGridRuns(runs, world, runsWidth)
+{
+    var index = 0;
+    for (var i = 0; i < runs.length; i += 2)
+    {
+        // THE WORLD STARTS OUT DEAD SO ONLY THE OTHER RUNS NEED FILLING IN
+        if (runs[i] !== DEAD_CELL)
+        {
+            for (var j = 0; j < runs[i + 1]; j++)
+            {
+                // THE RUNS MAY BE FOR A GRID OF ANOTHER SIZE
+                world.setCell((index + j) % runsWidth, Math.floor((index + j) / runsWidth), runs[i]);
+            }
+        }
+        index += runs[i + 1];
+    }
+}
+
+/*
+ * This function gets all the saved sessions from local storage as an
+ * object mapping each session's name to its snapshot.
+ */
+function loadSessionSlots()
+{
+    var json = localStorage.getItem(SESSIONS_STORAGE_KEY);
+    if (json === null)
+    {
+        return {};
+    }
+    try
+    {
+        return JSON.parse(json);
+    }
+    catch (error)
+    {
+        return {};
+    }
+}
+
+/*
+ * This function puts the saved sessions argument in local storage,
+ * replacing what was there. Returns false if the browser wouldn't
+ * store them, which usually means it's out of space.
+ */
+function storeSessionSlots(slots)
+{
+    try
+    {
+        localStorage.setItem(SESSIONS_STORAGE_KEY, JSON.stringify(slots));
+        return true;
+    }
+    catch (error)
+    {
+        setSessionStatus("The browser couldn't store the sessions: " + error.message, true);
+        return false;
+    }
+}
+
+/*
+ * This function fills the saved sessions drop down list with the names
+ * of the sessions in local storage, selecting the one named by the
+ * optional argument.
+ */
+function refreshSessionSlotsList(selectedName)
+{
+    var slotsList = document.getElementById("session_slots_select");
+    var names = Object.keys(loadSessionSlots()).sort();
+    while (slotsList.options.length > 0)
+    {
+        slotsList.removeChild(slotsList.options[0]);
+    }
+    for (var i = 0; i < names.length; i++)
+    {
+        var option = document.createElement("option");
+        option.value = names[i];
+        option.text = names[i];
+        slotsList.appendChild(option);
+        if (names[i] === selectedName)
+        {
+            slotsList.selectedIndex = i;
+        }
+    }
+}
+
+/*
+ * Gets the name of the session selected in the saved sessions drop
+ * down list, or null if there aren't any.
+ */
+function getSelectedSessionSlot()
+{
+    var slotsList = document.getElementById("session_slots_select");
+    if (slotsList.selectedIndex < 0)
+    {
+        return null;
+    }
+    return slotsList.options[slotsList.selectedIndex].value;
+}
+
+/*
+ * Shows a message under the saved session controls.
+ */
+function setSessionStatus(message, isError)
+{
+    setStatusMessage("session_status", message, isError);
+}
+
+// RULE METHODS
+
+/*
+ * This function makes the rule described by the rulestring argument the
+ * one used for updating the grid. It returns true if the rulestring was
+ * valid, false otherwise, in which case the current rule is unchanged.
+ */
+function setRule(text)
+{
+    if (!board.setRule(text))
+    {
+        return false;
+    }
+
+    // THE DYING STATES' COLORS DEPEND ON HOW MANY THERE ARE
+    initCellColors();
+    markSimulationChanged();
+
+    // KEEP THE TOOLBAR IN SYNC
+    syncRuleControls();
+
+    // IF THE SIMULATION IS PAUSED WE NEED TO SHOW THE NEW RULE OURSELVES
+    if (timer === null)
+    {
+        renderGame();
+    }
+    return true;
+}
+
+/*
+ * Makes the rule text field and presets drop down list show the
+ * active rule.
+ */
+function syncRuleControls()
+{
+    var ruleTextField = document.getElementById("rule_textfield");
+    var presetsList = document.getElementById("rule_presets");
+    if ((ruleTextField === null) || (presetsList === null))
+    {
+        return;
+    }
+    ruleTextField.value = board.getRule();
+    ruleTextField.className = "";
+
+    // SELECT THE MATCHING PRESET, OR "Custom" IF THERE ISN'T ONE
+    presetsList.selectedIndex = 0;
+    for (var i = 0; i < presetsList.options.length; i++)
+    {
+        if (presetsList.options[i].value === board.getRule())
+        {
+            presetsList.selectedIndex = i;
+        }
+    }
+}
+
+// SIMULATION WORKER METHODS
+
+/*
+ * This function returns the simulation worker, starting it if it hasn't
+ * been yet, or null if the browser won't let us have one, like some do
+ * for pages opened straight from a file.
+ */
+function getSimulationWorker()
+{
+    if ((simulationWorker === null) && useSimulationWorker)
+    {
+        try
+        {
+            simulationWorker = new Worker(SIMULATION_WORKER_URL);
+            simulationWorker.onmessage = respondToWorkerMessage;
+            simulationWorker.onerror = respondToWorkerError;
+        }
+        catch (error)
+        {
+            simulationWorker = null;
+            useSimulationWorker = false;
+        }
+    }
+    return simulationWorker;
+}
+
+/*
+ * This function sends the worker what it needs to make a copy of the
+ * board, i.e. its cells, engine, size, rule and topology, along with the
+ * frame rate. It starts running right away.
+ */
+function loadSimulationWorker()
+{
+    simulationEpoch++;
+    simulationChanged = false;
+    strokeCellsVersion = 0;
+    unacknowledgedStrokeCells = new Array();
+    simulationWorker.postMessage({ type: "load",
+                                   epoch: simulationEpoch,
+                                   world: board.getOptions(),
+                                   frameInterval: frameInterval });
+}
+
+/*
+ * This function lets the worker know, if it's running the simulation,
+ * that the board or settings were changed here. It's sent them again on
+ * the next animation frame, and changes it made in the meantime are
+ * ignored since they were made to the old board.
+ */
+function markSimulationChanged()
+{
+    simulationChanged = true;
+    markBoardChanged();
+}
+
+/*
+ * This function is called whenever the board is changed by something
+ * other than the simulation itself.
+ */
+function markBoardChanged()
+{
+    // A REPEAT FROM BEFORE THE CHANGE ISN'T A CYCLE, AND THE CENSUS
+    // DOESN'T COUNT THE OBJECTS ON THE BOARD ANY MORE
+    resetCycleDetection();
+    expireCensus();
+}
+
+/*
+ * This function sends the worker the cells drawn by the pencil or eraser
+ * since they were last sent, in a "set" message it puts on its board
+ * without stopping. They're kept until the worker has made a generation
+ * with them, in case it made some without them first.
+ */
+function sendStrokeCells()
+{
+    if (unsentStrokeCells.indices.length === 0)
+    {
+        return;
+    }
+    strokeCellsVersion++;
+    var message = { type: "set",
+                    epoch: simulationEpoch,
+                    version: strokeCellsVersion,
+                    indices: unsentStrokeCells.indices,
+                    cells: unsentStrokeCells.cells };
+    unacknowledgedStrokeCells.push(message);
+    simulationWorker.postMessage(message);
+}
+
+/*
+ * Helper for respondToWorkerMessage, it puts back the stroke cells the
+ * worker hadn't been sent yet when it made the generation, using the
+ * cellsVersion argument that came with it. The worker puts them on top
+ * of that generation when it gets them, so we have to do the same.
+ */
+function reapplyStrokeCells(cellsVersion)
+{
+    while ((unacknowledgedStrokeCells.length > 0)
+           && (unacknowledgedStrokeCells[0].version <= cellsVersion))
+    {
+        unacknowledgedStrokeCells.shift();
+    }
+    for (var i = 0; i < unacknowledgedStrokeCells.length; i++)
+    {
+        board.setCells(unacknowledgedStrokeCells[i].indices, unacknowledgedStrokeCells[i].cells);
+    }
+    if (unacknowledgedStrokeCells.length > 0)
+    {
+        markBoardChanged();
+    }
+}
+
+/*
+ * This is the event handler for messages from the simulation worker, each
+ * of which has the changes one generation made to the worker's copy of
+ * the board. We make the same changes to the board and keep track of
+ * the generation, and it's rendered on the next animation frame.
+ */
+function respondToWorkerMessage(event)
+{
+    var changes = event.data;
+    if ((timer === null) || (changes.epoch !== simulationEpoch) || simulationChanged)
+    {
+        return;
+    }
+
+    // WE CAN'T CHANGE CELLS THE USER IS EDITING, SO THE WORKER WILL HAVE TO
+    // START OVER FROM THE EDITED BOARD. PENCIL AND ERASER STROKES ARE THE
+    // EXCEPTION, THEY'RE DRAWN ON THE BOARD AS IT EVOLVES
+    if ((pendingEdit !== null) && (strokeCell === null))
+    {
+        markSimulationChanged();
+        return;
+    }
+    board.applyGeneration(changes);
+    recordGeneration(changes);
+    reapplyStrokeCells(changes.cellsVersion);
+    renderNeeded = true;
+}
+
+/*
+ * This is the event handler for when the simulation worker fails, which
+ * happens when its script can't be loaded. We stop using it and carry on
+ * running the simulation here.
+ */
+function respondToWorkerError(event)
+{
+    event.preventDefault();
+    simulationWorker.terminate();
+    simulationWorker = null;
+    useSimulationWorker = false;
+    if (timer !== null)
+    {
+        startGameOfLife();
+    }
+}
+
+// ENGINE METHODS
+
+/*
+ * This function switches the simulation to the engine argument, which
+ * is ENGINE_DENSE or ENGINE_SPARSE. The board moves the cells and void
+ * cells over to the new engine's grids, and cells off the edges of the
+ * dense engine's world don't fit in it and are lost. Returns false,
+ * leaving everything alone, if the sparse engine is picked while the rule
+ * has cells being born with no neighbors, which would fill an unbounded
+ * plane.
+ */
+function setEngine(newEngine)
+{
+    if (newEngine === board.engine)
+    {
+        return true;
+    }
+    if (!board.setEngine(newEngine))
+    {
+        return false;
+    }
+    syncEngineControls();
+
+    // THE EDITS, GENERATIONS, STATISTICS AND CELL HISTORY USED THE OLD
+    // ENGINE'S INDICES, AND THE GHOST GRIDS ARE THE OLD ENGINE'S KIND
+    setBoard(board);
+    clearEditHistory();
+    setViewport(viewportCol, viewportRow);
+    return true;
+}
+
+/*
+ * Makes the engine drop down list show the active engine. The topology
+ * only means something for the dense engine's world, so its drop down
+ * list is disabled for the sparse engine.
+ */
+function syncEngineControls()
+{
+    document.getElementById("engine_select").value = board.engine;
+    document.getElementById("topology_select").disabled = (board.engine === ENGINE_SPARSE);
+}
+
+// VIEWPORT METHODS
+
+/*
+ * This function converts a mouse event's location into the world cell
+ * it's over, taking into account which part of the world is in view.
+ * The cell is returned as an object with col and row.
+ */
+function getEventCell(event)
+{
+    var canvasCoords = getRelativeCoords(event);
+    return { col: viewportCol + Math.floor(canvasCoords.x/cellLength),
+             row: viewportRow + Math.floor(canvasCoords.y/cellLength) };
+}
+
+/*
+ * Returns how many columns of cells fit in the canvas at the current
+ * cell length.
+ */
+function getVisibleCols()
+{
+    return Math.ceil(canvasWidth / cellLength);
+}
+
+/*
+ * Returns how many rows of cells fit in the canvas at the current
+ * cell length.
+ */
+function getVisibleRows()
+{
+    return Math.ceil(canvasHeight / cellLength);
+}
+
+/*
+ * This function moves the view so that the world cell at (col, row) is
+ * in the canvas's top, left corner, keeping it from going past the edges
+ * of the world, and then renders the new view.
  */
-function incFPS()
+function setViewport(col, row)
 {
-    // WE'LL CAP THE FRAME RATE AT 33
-    if (fps < MAX_FPS)
-    {
-        // UPDATE THE FPS
-        fps += FPS_INC;
-        frameInterval = MILLISECONDS_IN_ONE_SECOND/fps;
+    var minCol = 0;
+    var minRow = 0;
+    var maxCol = Math.max(0, board.width - Math.floor(canvasWidth / cellLength));
+    var maxRow = Math.max(0, board.height - Math.floor(canvasHeight / cellLength));
 
-        // IF A SIMULATION IS ALREADY RUNNING,
-        // RESTART IT WITH THE NEW FRAME RATE
-        if (timer !== null)
-        {
-            startGameOfLife();
-        }
-        // OTHERWISE WE NEED TO RENDER A FRAME OURSELVES
-        else
-        {
-            renderGame();
-        }
+    // THE UNBOUNDED PLANE GOES OFF IN EVERY DIRECTION
+    if (board.engine === ENGINE_SPARSE)
+    {
+        minCol = -UNBOUNDED_LIMIT;
+        minRow = -UNBOUNDED_LIMIT;
+        maxCol = UNBOUNDED_LIMIT - getVisibleCols();
+        maxRow = UNBOUNDED_LIMIT - getVisibleRows();
     }
+    viewportCol = Math.max(minCol, Math.min(maxCol, Math.round(col)));
+    viewportRow = Math.max(minRow, Math.min(maxRow, Math.round(row)));
+
+    // THE GHOST PATTERN IS WHERE THE MOUSE WAS IN THE OLD VIEW
+    resetGhostCanvas();
+    renderGame();
 }
 
 /*
- * This function decrements the cellLength factor for rendering. Note the
- * cellLength starts at 1, which is cellLengthed all the way out, where cells are
- * on a one-to-one ratio with pixels in the canvas. The numeric value
- * of the cellLength translates into the length of each side for each cell.
+ * This function changes the cell length to newCellLength, if it's one we
+ * allow, keeping the world cell at canvas location (x, y) at that same
+ * location, which is what makes the mouse wheel zoom in on the mouse.
  */
-function decCellLength()
+function zoomAt(newCellLength, x, y)
 {
-    // 1 IS THE LOWEST VALUE WE ALLOW
-    if (cellLength > MIN_CELL_LENGTH)
+    if ((newCellLength < MIN_CELL_LENGTH) || (newCellLength > MAX_CELL_LENGTH))
     {
-        // DEC THE CELL LENGTH
-        cellLength /= CELL_LENGTH_INC;
+        return;
+    }
 
-        // AND RESET THE DATA STRUCTURES
-        resetGameOfLife();
+    // THIS IS THE WORLD LOCATION, IN CELLS, UNDER (x, y)
+    var worldCol = viewportCol + (x / cellLength);
+    var worldRow = viewportRow + (y / cellLength);
 
-        // IF WE DON'T HAVE AN UPDATE/RENDER LOOP
-        // RUNNING THEN WE HAVE TO FORCE A ONE-TIME
-        // RENDERING HERE
-        if (timer === null)
-        {
-            renderGame();
-        }
-    }
+    // CHANGE THE ZOOM AND PUT THAT LOCATION BACK UNDER (x, y)
+    cellLength = newCellLength;
+    setViewport(worldCol - (x / cellLength), worldRow - (y / cellLength));
 }
 
 /*
- * This function increments the cellLength factor for rendering. Note the
- * cellLength starts at 1, which is cellLengthed all the way out, where cells are
- * on a one-to-one ratio with pixels in the canvas. The numeric value
- * of the cellLength translates into the length of each side for each cell.
+ * This function starts dragging the view around with the mouse.
  */
-function incCellLength()
+function startPanDrag(event)
 {
-    // 100 IS THE LARGEST VALUE WE ALLOW
-    if (cellLength < MAX_CELL_LENGTH)
-    {
-        // INC THE CELL LENGTH
-        cellLength *= CELL_LENGTH_INC;
-
-        // AND RESET THE DATA STRUCTURES
-        resetGameOfLife();
+    var canvasCoords = getRelativeCoords(event);
+    panDrag = { x: canvasCoords.x, y: canvasCoords.y, col: viewportCol, row: viewportRow };
 
-        // IF WE DON'T HAVE AN UPDATE/RENDER LOOP
-        // RUNNING THEN WE HAVE TO FORCE A ONE-TIME
-        // RENDERING HERE
-        if (timer === null)
-        {
-            renderGame();
-        }
-    }
+    // ONLY THE LEFT BUTTON FOLLOWS UP WITH A CLICK EVENT
+    suppressNextClick = (event.button === 0);
+    event.preventDefault();
 }
 
-// HELPER METHODS FOR THE EVENT HANDLERS
-
 /*
- * This function gets the mouse click coordinates relative to
- * the canvas itself, where 0,0 is the top, left corner of
- * the canvas.
+ * This function moves the view along with the mouse while it's being
+ * dragged, so the world cell that was grabbed stays under the mouse.
  */
-function getRelativeCoords(event)
+function continuePanDrag(event)
 {
-    if (event.offsetX !== undefined && event.offsetY !== undefined)
-    {
-        return { x: event.offsetX, y: event.offsetY };
-    }
-    else
+    // THE BUTTON MAY HAVE BEEN LET GO OUTSIDE THE CANVAS
+    if (event.buttons === 0)
     {
-        return { x: event.layerX, y: event.layerY };
+        panDrag = null;
+        suppressNextClick = false;
+        return;
     }
+    var canvasCoords = getRelativeCoords(event);
+    setViewport(panDrag.col - ((canvasCoords.x - panDrag.x) / cellLength),
+                panDrag.row - ((canvasCoords.y - panDrag.y) / cellLength));
 }
 
 // GRID CELL MANAGEMENT METHODS
 
 /*
- * This function tests to see if (row, col) represents a
- * valid cell in the grid. If it is a valid cell, true is
- * returned, else false.
+ * This function calls callback(row, col, value) for every cell in the
+ * grid argument that's in view and isn't dead. A sparse grid with fewer
+ * cells than there are in the view is quicker to go through cell by
+ * cell, otherwise we go through the view.
  */
-function isValidCell(row, col)
+function forEachVisibleCell(grid, callback)
 {
-    // IS IT OUTSIDE THE GRID?
-    if (    (row < 0) ||
-        (col < 0) ||
-        (row >= gridHeight) ||
-        (col >= gridWidth))
+    var firstRow = viewportRow;
+    var firstCol = viewportCol;
+    var lastRow = viewportRow + getVisibleRows();
+    var lastCol = viewportCol + getVisibleCols();
+    if ((grid instanceof Map) && (grid.size < ((lastRow - firstRow) * (lastCol - firstCol))))
     {
-        return false;
+        grid.forEach(function (value, index)
+        {
+            var row = board.getIndexRow(index);
+            var col = board.getIndexCol(index);
+            if ((row >= firstRow) && (row < lastRow) && (col >= firstCol) && (col < lastCol))
+            {
+                callback(row, col, value);
+            }
+        });
+        return;
     }
-    // IT'S INSIDE THE GRID
-    else
+    if (board.engine === ENGINE_DENSE)
     {
-        return true;
+        lastRow = Math.min(board.height, lastRow);
+        lastCol = Math.min(board.width, lastCol);
+    }
+    for (var i = firstRow; i < lastRow; i++)
+    {
+        for (var j = firstCol; j < lastCol; j++)
+        {
+            var value = board.getGridCell(grid, i, j);
+            if (value !== DEAD_CELL)
+            {
+                callback(i, j, value);
+            }
+        }
     }
 }
 
 /*
- * Accessor method for getting the cell value in the grid at
- * location (row, col).
+ * Called each frame on a timed basis, this method updates the grid
+ * and renders the simulation.
  */
-function getGridCell(grid, row, col)
+function stepGameOfLife()
 {
-    // IGNORE IF IT'S OUTSIDE THE GRID
-    if (!isValidCell(row, col))
-    {
-        return -1;
-    }
-    var index = (row * gridWidth) + col;
-    return grid[index];
+    // FIRST PERFORM GAME LOGIC
+    updateGame();
+
+    // RENDER THE GAME
+    renderGame();
 }
 
 /*
- * Mutator method for setting the cell value in the grid at
- * location (row, col).
+ * This function is called each frame of the simulation and
+ * it tests and updates each cell according to the active rule,
+ * which is Conway's Game of Life unless the user picked another.
  */
-function setGridCell(grid, row, col, value)
+function updateGame()
 {
-    // IGNORE IF IT'S OUTSIDE THE GRID
-    if (!isValidCell(row, col))
-    {
-        return;
-    }
-    var index = (row * gridWidth) + col;
-    grid[index] = value;
+    // LET THE BOARD'S ENGINE WORK OUT THE NEXT GENERATION
+    recordGeneration(board.nextGeneration());
 }
 
 /*
- * A cell's type determines which adjacent cells need to be tested
- * during each frame of the simulation. This method tests the cell
- * at (row, col), and returns the constant representing which of
- * the 9 different types of cells it is.
+ * This function keeps track of a generation the board just made, using
+ * the changes argument built by its nextGeneration method, which may
+ * have come from the worker's copy of the board.
  */
-function determineCellType(row, col)
+function recordGeneration(changes)
 {
-    if ((row === 0) && (col === 0))                                 return TOP_LEFT;
-    else if ((row === 0) && (col === (gridWidth-1)))                return TOP_RIGHT;
-    else if ((row === (gridHeight-1)) && (col === 0))               return BOTTOM_LEFT;
-    else if ((row === (gridHeight-1)) && (col === (gridHeight-1)))  return BOTTOM_RIGHT;
-    else if (row === 0)                                             return TOP;
-    else if (col === 0)                                             return LEFT;
-    else if (row === (gridHeight-1))                                return RIGHT;
-    else if (col === (gridWidth-1))                                 return BOTTOM;
-    else                                                            return CENTER;
+    recordGenerationHistory(changes.changedIndices, changes.previousCells);
+    recordCellHistory(changes.changedIndices, changes.previousCells, changes.newCells);
+    recordStatistics(changes.population, changes.births, changes.deaths, changes.bounds);
+    detectCycle(changes);
+    expireCensus();
 }
 
 /*
- * This method counts the living cells adjacent to the cell at
- * (row, col). This count is returned.
+ * This function runs the active engine over and over, for at least the
+ * milliseconds argument, on a copy of the board, and returns how many
+ * generations it made, how long it took and how many it made per second.
  */
-function calcLivingNeighbors(row, col)
+function runBenchmark(milliseconds)
 {
-    var numLivingNeighbors = 0;
+    // WORK ON A COPY SO THE BOARD IS LEFT ALONE
+    var copy = createWorld(board.getOptions());
 
-    // DEPENDING ON THE TYPE OF CELL IT IS WE'LL CHECK
-    // DIFFERENT ADJACENT CELLS
-    var cellType = determineCellType(row, col);
-    var cellsToCheck = cellLookup[cellType];
-    for (var counter = 0; counter < (cellsToCheck.numNeighbors * 2); counter+=2)
+    var generations = 0;
+    var startTime = performance.now();
+    var elapsed;
+    do
     {
-        var neighborCol = col + cellsToCheck.cellValues[counter];
-        var neighborRow = row + cellsToCheck.cellValues[counter+1];
-        var index = (neighborRow * gridWidth) + neighborCol;
-        var neighborValue = updateGrid[index];
-
-        //if the neighbor is void... treat it as dead
-        if(neighborValue === 3){
-            neighborValue = 0;
-        }
+        copy.nextGeneration();
+        generations++;
+        elapsed = performance.now() - startTime;
+    } while (elapsed < milliseconds);
+    return { generations: generations,
+             milliseconds: elapsed,
+             generationsPerSecond: (generations * MILLISECONDS_IN_ONE_SECOND) / elapsed };
+}
 
-        numLivingNeighbors += neighborValue;
+/*
+ * This function takes the game back one generation, using the changes
+ * updateGame recorded in the generation history. Nothing happens if
+ * there's no history left, which is the case after a reset or an edit.
+ */
+function stepBackGameOfLife()
+{
+    if (generationHistory.length === 0)
+    {
+        return;
     }
-    return numLivingNeighbors;
+
+    // PUT BACK WHAT THE CHANGED CELLS WERE BEFORE
+    var changes = generationHistory.pop();
+    generationHistoryCells -= changes.indices.length;
+    rewindCellHistory(changes.indices, changes.cells);
+    board.revertGeneration(changes.indices, changes.cells);
+    resetCycleDetection();
+    expireCensus();
+    updateStepBackButton();
+    refreshStatistics();
+    renderGame();
 }
 
 /*
- * Called each frame on a timed basis, this method updates the grid
- * and renders the simulation.
+ * This function adds the cells a generation changed, along with what
+ * they were before it, to the generation history, dropping the oldest
+ * generations if we're keeping too many.
  */
-function stepGameOfLife()
+function recordGenerationHistory(changedIndices, previousCells)
 {
-    // FIRST PERFORM GAME LOGIC
-    updateGame();
+    generationHistory.push({ indices: new Float64Array(changedIndices),
+                             cells: new Uint8Array(previousCells) });
+    generationHistoryCells += changedIndices.length;
+    while ((generationHistory.length > MAX_GENERATION_HISTORY)
+           || ((generationHistoryCells > MAX_GENERATION_HISTORY_CELLS) && (generationHistory.length > 1)))
+    {
+        generationHistoryCells -= generationHistory.shift().indices.length;
+    }
+    updateStepBackButton();
+}
 
-    // RENDER THE GAME
-    renderGame();
+/*
+ * This function forgets all the generation history. We do this whenever
+ * the board is changed by something other than the simulation, since
+ * stepping back past such a change would mix up the two.
+ */
+function clearGenerationHistory()
+{
+    generationHistory = new Array();
+    generationHistoryCells = 0;
+    updateStepBackButton();
 }
 
 /*
- * This function is called each frame of the simulation and
- * it tests and updates each cell according to the rules
- * of Conway's Game of Life.
+ * This function keeps track of when the cells a generation changed were
+ * born, how many times they've changed and which of them died, for the
+ * render modes. It's called after the generation counter goes up.
  */
-function updateGame()
+function recordCellHistory(changedIndices, previousCells, newCells)
 {
-    // GO THROUGH THE UPDATE GRID AND USE IT TO CHANGE THE RENDER GRID
-    for (var i = 0; i < gridHeight; i++)
+    var deaths = new Array();
+    for (var i = 0; i < changedIndices.length; i++)
     {
-        for (var j = 0; j < gridWidth; j++)
+        var index = changedIndices[i];
+        var wasLive = (previousCells[i] === LIVE_CELL);
+        var isLive = (newCells[i] === LIVE_CELL);
+        if (wasLive === isLive)
         {
-            // HOW MANY NEIGHBORS DOES THIS CELL HAVE?
-            var numLivingNeighbors = calcLivingNeighbors(i, j);
-
-            // CALCULATE THE ARRAY INDEX OF THIS CELL
-            // AND GET ITS CURRENT STATE
-            var index = (i * gridWidth) + j;
-            var testCell = updateGrid[index];
+            continue;
+        }
+        if (isLive)
+        {
+            cellBirthGenerations.set(index, board.generation);
+        }
+        else
+        {
+            deaths.push(index);
+        }
+        var activity = (cellActivity.has(index) ? cellActivity.get(index) : 0) + 1;
+        cellActivity.set(index, activity);
+        maxCellActivity = Math.max(maxCellActivity, activity);
+    }
+    recentDeaths.push(deaths);
+    if (recentDeaths.length > TRAIL_LENGTH)
+    {
+        recentDeaths.shift();
+    }
+}
 
-            // CASES
-            // 1) IT'S ALIVE
-            if (testCell === LIVE_CELL)
-            {
-                // 1a FEWER THAN 2 LIVING NEIGHBORS
-                if (numLivingNeighbors < 2)
-                {
-                    // IT DIES FROM UNDER-POPULATION
-                    renderGrid[index] = DEAD_CELL;
-                }
-                // 1b MORE THAN 3 LIVING NEIGHBORS
-                else if (numLivingNeighbors > 3)
-                {
-                    // IT DIES FROM OVERCROWDING
-                    renderGrid[index] = DEAD_CELL;
-                }
-                // 1c 2 OR 3 LIVING NEIGHBORS, WE DO NOTHING
-                else
-                {
-                    renderGrid[index] = LIVE_CELL;
-                }
-            }
-            // 2) IT'S DEAD/VOID
-            else if (numLivingNeighbors === 3)
+/*
+ * This function undoes what recordCellHistory did for the generation
+ * stepBackGameOfLife is taking back, whose changed cells are about to be
+ * put back to the previousCells values. The cells that come back to life
+ * still have the birth generation from before they died, but the trail
+ * they left is forgotten.
+ */
+function rewindCellHistory(changedIndices, previousCells)
+{
+    for (var i = 0; i < changedIndices.length; i++)
+    {
+        var index = changedIndices[i];
+        var wasLive = (previousCells[i] === LIVE_CELL);
+        var isLive = (board.getIndexCell(index) === LIVE_CELL);
+        if (wasLive !== isLive)
+        {
+            var activity = cellActivity.get(index) - 1;
+            if (activity > 0)
             {
-                //if it's void.. keep it void
-                if(testCell === VOID_CELL){
-                    renderGrid[index] = VOID_CELL;
-                } else {
-                    renderGrid[index] = LIVE_CELL;
-                }
-
+                cellActivity.set(index, activity);
             }
             else
             {
-                //if it's void.. keep it void
-                if(testCell === VOID_CELL){
-                    renderGrid[index] = VOID_CELL;
-                } else {
-                    renderGrid[index] = DEAD_CELL;
-                }
+                cellActivity.delete(index);
             }
         }
     }
+    recentDeaths.pop();
+}
+
+/*
+ * This function keeps the birth generation of a cell the user just
+ * changed up to date. Edits don't count as activity.
+ */
+function recordEditedCell(index, cell)
+{
+    if (cell === LIVE_CELL)
+    {
+        cellBirthGenerations.set(index, board.generation);
+    }
+}
+
+/*
+ * This function forgets the history of all the cells, which we have to do
+ * whenever the board is replaced. The live cells from now on are as old as
+ * the current generation.
+ */
+function clearCellHistory()
+{
+    cellBirthGenerations = new Map();
+    cellActivity = new Map();
+    maxCellActivity = 0;
+    recentDeaths = new Array();
+    cellHistoryStart = board.generation;
+}
+
+/*
+ * Enables the step back button only when there's a generation
+ * to step back to.
+ */
+function updateStepBackButton()
+{
+    document.getElementById("step_back_button").disabled = (generationHistory.length === 0);
 }
 
 /*
@@ -1032,106 +5050,254 @@ function updateGame()
  */
 function renderGame()
 {
-    // CLEAR THE CANVAS
-    canvas2D.clearRect(0, 0, canvasWidth, canvasHeight);
+    // RENDER THE GRID LINES, IF THEY NEED IT
+    renderGridLines();
 
-    // RENDER THE GRID LINES, IF NEEDED
-    if (cellLength >= GRID_LINE_LENGTH_RENDERING_THRESHOLD)
-        renderGridLines();
-
-    // RENDER THE GAME CELLS
+    // RENDER THE GAME CELLS, WHICH REPLACES EVERYTHING ON THE CANVAS
     renderCells();
 
+    // AND OUTLINE THE SELECTION AND THE KEYBOARD CURSOR, IF THEY'RE THERE
+    renderSelection();
+    renderKeyboardCursor();
+    renderCensus();
+
     // AND RENDER THE TEXT
     renderText();
 
-    // THE GRID WE RENDER THIS FRAME WILL BE USED AS THE BASIS
-    // FOR THE UPDATE GRID NEXT FRAME
-    swapGrids();
+    // AND KEEP THE STATISTICS PANEL UP TO DATE
+    renderStatistics();
 }
 
 /*
  * Renders the cells in the game grid, with only the live
  * cells being rendered as filled boxes. Note that boxes are
- * rendered according to the current cell length.
+ * rendered according to the current cell length, and that
+ * only the cells in view are rendered. The render mode says
+ * what color each cell is.
  */
 function renderCells()
 {
-    // RENDER THE LIVE CELLS IN THE GRID
-    for (var i = 0; i <= gridHeight; i++)
+    // START WITH NOTHING, i.e. SEE-THROUGH PIXELS, SO THE LAYERS
+    // UNDER THIS CANVAS SHOW WHERE THERE ARE NO CELLS
+    cellPixels.fill(0);
+
+    // PUT THE COLOR OF EACH CELL IN VIEW IN ITS BOX OF PIXELS. IN THE
+    // STATES MODE THAT ONLY DEPENDS ON THE CELL'S VALUE
+    var colors = cellColors;
+    var getColor = (renderMode === RENDER_MODE_STATES) ? null : getRenderModeColor;
+    board.forEachCellInRect(viewportCol, viewportRow, getVisibleCols(), getVisibleRows(), function (j, i, cell)
+    {
+        var color = (getColor === null) ? colors[cell] : getColor(board.getCellIndex(i, j), cell);
+        if (color !== 0)
+        {
+            fillCellPixels(i - viewportRow, j - viewportCol, color);
+        }
+    });
+
+    // THE HEATMAP AND TRAILS ALSO COLOR SOME OF THE DEAD CELLS
+    if (renderMode === RENDER_MODE_ACTIVITY)
+    {
+        renderActivityCells();
+    }
+    else if (renderMode === RENDER_MODE_TRAILS)
+    {
+        renderTrailCells();
+    }
+    canvas2D.putImageData(cellImageData, 0, 0);
+}
+
+/*
+ * This function returns the pixel value the cell at the index argument,
+ * whose value is the cell argument, is rendered with in the render modes
+ * other than the states mode. Only live cells are colored differently.
+ */
+function getRenderModeColor(index, cell)
+{
+    if (cell !== LIVE_CELL)
+    {
+        return cellColors[cell];
+    }
+    if (renderMode === RENDER_MODE_AGE)
+    {
+        var birthGeneration = cellBirthGenerations.get(index);
+        if ((birthGeneration === undefined) || (birthGeneration < cellHistoryStart))
+        {
+            birthGeneration = cellHistoryStart;
+        }
+        return ageColors[Math.min(AGE_COLOR_STEPS - 1, Math.max(0, board.generation - birthGeneration))];
+    }
+    if (renderMode === RENDER_MODE_ACTIVITY)
+    {
+        return getActivityColor(index);
+    }
+    return cellColors[cell];
+}
+
+/*
+ * This function returns the heatmap's pixel value for the cell at the
+ * index argument. The scale is logarithmic, so the cells that change
+ * now and then still stand out from those that never do.
+ */
+function getActivityColor(index)
+{
+    var activity = cellActivity.get(index);
+    if ((activity === undefined) || (maxCellActivity === 0))
+    {
+        return activityColors[0];
+    }
+    var fraction = Math.log(1 + activity) / Math.log(1 + maxCellActivity);
+    return activityColors[Math.round(fraction * (ACTIVITY_COLOR_STEPS - 1))];
+}
+
+/*
+ * Renders the heatmap for the dead cells in view that have changed.
+ */
+function renderActivityCells()
+{
+    forEachVisibleCell(cellActivity, function (i, j)
+    {
+        if (board.getCell(j, i) === DEAD_CELL)
+        {
+            fillCellPixels(i - viewportRow, j - viewportCol, getActivityColor(board.getCellIndex(i, j)));
+        }
+    });
+}
+
+/*
+ * Renders the trail of the cells in view that died recently and are still
+ * dead, oldest first, so each cell gets the color of its latest death.
+ */
+function renderTrailCells()
+{
+    var lastRow = viewportRow + getVisibleRows();
+    var lastCol = viewportCol + getVisibleCols();
+    for (var age = recentDeaths.length - 1; age >= 0; age--)
     {
-        for (var j = 0; j < gridWidth; j++)
+        var deaths = recentDeaths[recentDeaths.length - 1 - age];
+        for (var i = 0; i < deaths.length; i++)
         {
-            var cell = getGridCell(renderGrid, i, j);
-            if (cell === LIVE_CELL)
+            var row = board.getIndexRow(deaths[i]);
+            var col = board.getIndexCol(deaths[i]);
+            if ((row >= viewportRow) && (row < lastRow) && (col >= viewportCol) && (col < lastCol)
+                && (board.getIndexCell(deaths[i]) === DEAD_CELL))
             {
-                // SET THE PROPER RENDER COLOR
-                canvas2D.fillStyle = LIVE_COLOR;
-                var x = j * cellLength;
-                var y = i * cellLength;
-                canvas2D.fillRect(x, y, cellLength, cellLength);
-            }
-            //If void cell, change the color
-            if(cell === VOID_CELL){
-                // SET THE PROPER RENDER COLOR
-                canvas2D.fillStyle = VOID_COLOR;
-                var x = j * cellLength;
-                var y = i * cellLength;
-                canvas2D.fillRect(x, y, cellLength, cellLength);
+                fillCellPixels(row - viewportRow, col - viewportCol, trailColors[age]);
             }
         }
     }
 }
 
 /*
- * Sets Bright cells to make the bright feedback functionality
+ * Renders the outline of the selection, around the outside of its cells.
+ */
+function renderSelection()
+{
+    if (selection === null)
+    {
+        return;
+    }
+    canvas2D.strokeStyle = SELECTION_COLOR;
+    canvas2D.lineWidth = 2;
+    canvas2D.strokeRect((selection.col - viewportCol) * cellLength,
+                        (selection.row - viewportRow) * cellLength,
+                        selection.cols * cellLength,
+                        selection.rows * cellLength);
+    canvas2D.lineWidth = 1;
+}
+
+/*
+ * Renders the outline of the keyboard cursor's cell.
+ */
+function renderKeyboardCursor()
+{
+    if (keyboardCursor === null)
+    {
+        return;
+    }
+    canvas2D.strokeStyle = CURSOR_COLOR;
+    canvas2D.lineWidth = 2;
+    canvas2D.strokeRect((keyboardCursor.col - viewportCol) * cellLength,
+                        (keyboardCursor.row - viewportRow) * cellLength,
+                        cellLength, cellLength);
+    canvas2D.lineWidth = 1;
+}
+
+/*
+ * Outlines the objects found by the last census, in one color if we know
+ * what they are and in another if we don't.
+ */
+function renderCensus()
+{
+    if (census === null)
+    {
+        return;
+    }
+    canvas2D.lineWidth = 2;
+    for (var i = 0; i < census.length; i++)
+    {
+        var object = census[i];
+        canvas2D.strokeStyle = (object.name === null) ? UNIDENTIFIED_COLOR : CENSUS_COLOR;
+        canvas2D.strokeRect((object.col - viewportCol) * cellLength,
+                            (object.row - viewportRow) * cellLength,
+                            object.cols * cellLength,
+                            object.rows * cellLength);
+    }
+    canvas2D.lineWidth = 1;
+}
+
+/*
+ * This function colors the box of pixels for the cell at (row, col) in
+ * the view, cutting it off where it goes past the edge of the canvas.
+ */
+function fillCellPixels(row, col, color)
+{
+    var x = col * cellLength;
+    var y = row * cellLength;
+    var right = Math.min(canvasWidth, x + cellLength);
+    var bottom = Math.min(canvasHeight, y + cellLength);
+    for (var pixelY = y; pixelY < bottom; pixelY++)
+    {
+        var rowStart = pixelY * canvasWidth;
+        cellPixels.fill(color, rowStart + x, rowStart + right);
+    }
+}
+
+/*
+ * Flashes the cells of the pattern bright, to show the user where it went
  */
 function brightFeedback(pixels, clickCol, clickRow)
 {
+    var brightCells = new Array();
     for (var i = 0; i < pixels.length; i += 2) {
-        var col = clickCol + pixels[i];
-        var row = clickRow + pixels[i + 1];
-        setGridCell(renderGrid, row, col, BRIGHT_CELL);
-        setGridCell(updateGrid, row, col, BRIGHT_CELL);
+        var col = board.wrapCol(clickCol + pixels[i]);
+        var row = board.wrapRow(clickRow + pixels[i + 1]);
+        if (!board.isValidCell(row, col)) {
+            continue;
+        }
+        recordCellForEdit(row, col);
+        brightCells.push(col);
+        brightCells.push(row);
     }
 
-    renderBrightCells();
+    renderBrightCells(brightCells);
 }
 
 /*
- * Renders the bright cells on the grid
- * Takes in a flag to check if the cells are void
+ * Renders the bright cells on the grid, brightCells holds their
+ * col, row pairs. They're only flashed, the next render shows
+ * what the cells really are.
  */
-function renderBrightCells(){
+function renderBrightCells(brightCells){
     // SET THE PROPER RENDER COLOR
     canvas2D.fillStyle = BRIGHT_COLOR;
 
-    // RENDER THE LIVE CELLS IN THE GRID
-    for (var i = 0; i <= gridHeight; i++)
+    // RENDER THE BRIGHT CELLS, WHICH MAY NOT ALL BE IN VIEW
+    // IF THE PATTERN WRAPPED AROUND AN EDGE OF THE WORLD
+    for (var k = 0; k < brightCells.length; k += 2)
     {
-        for (var j = 0; j < gridWidth; j++)
-        {
-            var cell = getGridCell(renderGrid, i, j);
-            var cellCheck = getGridCell(persistentMouseArray, i, j);
-
-            var selectedPattern = getSelectedPattern();
-            if (cell === BRIGHT_CELL)
-            {
-                var x = j * cellLength;
-                var y = i * cellLength;
-                canvas2D.fillRect(x, y, cellLength, cellLength);
-
-                if(cellCheck === VOID_CELL){
-                    setGridCell(renderGrid, i, j, VOID_CELL);
-                    setGridCell(updateGrid, i, j, VOID_CELL);
-                } else if(cellCheck == DEAD_CELL && selectedPattern === "RemoveVoidCell.png"){
-                    continue;
-                } else {
-                    setGridCell(renderGrid, i, j, LIVE_CELL);
-                    setGridCell(updateGrid, i, j, LIVE_CELL);
-                }
-            }
-        }
+        var x = (brightCells[k] - viewportCol) * cellLength;
+        var y = (brightCells[k + 1] - viewportRow) * cellLength;
+        canvas2D.fillRect(x, y, cellLength, cellLength);
     }
 }
 
@@ -1145,20 +5311,16 @@ function renderGhostCells()
     // SET THE PROPER RENDER COLOR
     ghostCanvas2D.fillStyle = GHOST_COLOR;
 
-    // RENDER THE GHOST CELLS IN THE GRID
-    for (var i = 0; i <= gridHeight; i++)
+    // RENDER THE GHOST CELLS IN THE PART OF THE WORLD IN VIEW
+    forEachVisibleCell(ghostRenderGrid, function (i, j, cell)
     {
-        for (var j = 0; j < gridWidth; j++)
+        if (cell === GHOST_CELL)
         {
-            var cell = getGridCell(ghostRenderGrid, i, j);
-            if (cell === GHOST_CELL)
-            {
-                var x = j * cellLength;
-                var y = i * cellLength;
-                ghostCanvas2D.fillRect(x, y, cellLength, cellLength);
-            }
+            var x = (j - viewportCol) * cellLength;
+            var y = (i - viewportRow) * cellLength;
+            ghostCanvas2D.fillRect(x, y, cellLength, cellLength);
         }
-    }
+    });
 }
 
 /*
@@ -1172,53 +5334,59 @@ function renderText()
     // RENDER THE TEXT
     canvas2D.fillText("FPS: " + fps, FPS_X, FPS_Y);
     canvas2D.fillText("Cell Length: " + cellLength, CELL_LENGTH_X, CELL_LENGTH_Y);
+    canvas2D.fillText("Rule: " + board.getRule(), RULE_X, RULE_Y);
+    var worldSize = (board.engine === ENGINE_SPARSE) ? "an unbounded plane" : board.width + "x" + board.height;
+    canvas2D.fillText("View: (" + viewportCol + ", " + viewportRow + ") of " + worldSize,
+                        VIEWPORT_X, VIEWPORT_Y);
 }
 
 /*
- * Renders the grid lines.
+ * Renders the grid lines onto their own canvas, which sits between the
+ * ghost canvas and the game canvas. Since they only depend on the cell
+ * length they're only rendered again when it changes.
  */
 function renderGridLines()
 {
+    // THEY'RE ALREADY THERE IF THE CELL LENGTH HASN'T CHANGED
+    if (gridLinesCellLength === cellLength)
+    {
+        return;
+    }
+    gridLinesCellLength = cellLength;
+    gridLinesCanvas2D.clearRect(0, 0, canvasWidth, canvasHeight);
+
+    // SMALL CELLS DON'T GET ANY
+    if (cellLength < GRID_LINE_LENGTH_RENDERING_THRESHOLD)
+    {
+        return;
+    }
+
     // SET THE PROPER COLOR
-    canvas2D.strokeStyle = GRID_LINES_COLOR;
+    gridLinesCanvas2D.strokeStyle = GRID_LINES_COLOR;
+    gridLinesCanvas2D.beginPath();
 
     // VERTICAL LINES
-    for (var i = 0; i < gridWidth; i++)
+    for (var i = 0; i < getVisibleCols(); i++)
     {
         var x1 = i * cellLength;
         var y1 = 0;
         var x2 = x1;
         var y2 = canvasHeight;
-        canvas2D.beginPath();
-        canvas2D.moveTo(x1, y1);
-        canvas2D.lineTo(x2, y2);
-        canvas2D.stroke();
+        gridLinesCanvas2D.moveTo(x1, y1);
+        gridLinesCanvas2D.lineTo(x2, y2);
     }
 
     // HORIZONTAL LINES
-    for (var j = 0; j < gridHeight; j++)
+    for (var j = 0; j < getVisibleRows(); j++)
     {
         var x1 = 0;
         var y1 = j * cellLength;
         var x2 = canvasWidth;
         var y2 = y1;
-        canvas2D.moveTo(x1, y1);
-        canvas2D.lineTo(x2, y2);
-        canvas2D.stroke();
+        gridLinesCanvas2D.moveTo(x1, y1);
+        gridLinesCanvas2D.lineTo(x2, y2);
     }
-}
-
-/*
- * We need one grid's cells to determine the grid's values for
- * the next frame. So, we update the render grid based on the contents
- * of the update grid, and then, after rending, we swap them, so that
- * the next frame we'll be progressing the game properly.
- */
-function swapGrids()
-{
-    var temp = updateGrid;
-    updateGrid = renderGrid;
-    renderGrid = temp;
+    gridLinesCanvas2D.stroke();
 }
 
 /*
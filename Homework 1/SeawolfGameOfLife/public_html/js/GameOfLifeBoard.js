@@ -0,0 +1,456 @@
+/*
+ * Conway's Game of Life (Seawolf Edition)
+ *
+ * This JavaScript file lets a page have as many Game of Life boards as it
+ * likes, e.g. to compare two rules or two starting patterns side by side.
+ * Each GameOfLifeBoard keeps all its state to itself. It draws a World,
+ * from GameOfLifeCore.js, on the canvas it's given in the page's colors,
+ * from GameOfLifeColors.js, and is run by the buttons in the toolbar it's
+ * given, which are found by their data-action attribute, i.e. "start",
+ * "pause", "step" or "reset". Elements with a data-display attribute of
+ * "generation" or "population" show those. Boards that share a
+ * GameOfLifeClock make their generations in lock-step, and starting,
+ * pausing, stepping or resetting one of them does it to all of them, e.g.
+ *
+ *     var clock = new GameOfLifeClock(10);
+ *     var left = new GameOfLifeBoard(leftCanvas, { toolbar: leftToolbar, clock: clock });
+ *     var right = new GameOfLifeBoard(rightCanvas, { rule: "B36/S23", clock: clock });
+ *
+ * Authors: Richard McKenna & James Lynn
+ */
+
+// BOARD CONSTANTS
+var BOARD_BACKGROUND_COLOR = "#FFFFFF";
+var BOARD_GRID_LINES_THRESHOLD = 8;
+var BOARD_DEFAULT_CELL_LENGTH = 8;
+var BOARD_DEFAULT_FPS = 10;
+
+// BOARD METHODS
+
+/*
+ * This is the constructor for a board drawn on the canvas argument. The
+ * options argument may have the rule and topology for its World, the
+ * cellLength of its cells in pixels, which along with the canvas's size
+ * decides how many cells there are, the fps it runs at on its own, the
+ * pattern clicks put on it as an array of x, y pairs, which is a single
+ * cell if it's left out, the toolbar element with its buttons and the
+ * clock it shares with other boards. A board with a clock runs at the
+ * clock's fps instead of its own.
+ */
+function GameOfLifeBoard(initCanvas, initOptions)
+{
+    var options = (initOptions === undefined) ? {} : initOptions;
+    this.canvas = initCanvas;
+    this.canvas2D = initCanvas.getContext("2d");
+    this.cellLength = (options.cellLength === undefined) ? BOARD_DEFAULT_CELL_LENGTH : options.cellLength;
+    this.world = createWorld({ width: Math.floor(initCanvas.width / this.cellLength),
+                               height: Math.floor(initCanvas.height / this.cellLength),
+                               rule: options.rule,
+                               topology: options.topology });
+    this.fps = (options.fps === undefined) ? BOARD_DEFAULT_FPS : options.fps;
+    this.pattern = (options.pattern === undefined) ? [0, 0] : options.pattern;
+    this.timer = null;
+    this.clock = null;
+
+    // THE CELLS ARE RENDERED INTO THIS, A PIXEL AT A TIME, IN THE COLORS
+    // FOR THE WORLD'S RULE, WHICH ARE WORKED OUT WHEN THE RULE CHANGES
+    this.imageData = this.canvas2D.createImageData(initCanvas.width, initCanvas.height);
+    this.pixels = new Uint32Array(this.imageData.data.buffer);
+    this.backgroundPixel = packPixelColor(BOARD_BACKGROUND_COLOR);
+    this.initCellColors();
+
+    // THE CELLS THE BOARD HAD WHEN IT STARTED RUNNING, WHICH
+    // RESET PUTS BACK, OR null IF IT HASN'T RUN YET
+    this.startingCells = null;
+    this.startingVoids = null;
+
+    // CLICKS PUT THE PATTERN ON THE BOARD
+    var board = this;
+    initCanvas.onclick = function (event)
+    {
+        board.respondToClick(event);
+    };
+    this.displays = new Array();
+    if (options.toolbar !== undefined)
+    {
+        this.bindToolbar(options.toolbar);
+    }
+    if (options.clock !== undefined)
+    {
+        options.clock.add(this);
+    }
+    this.render();
+}
+
+/*
+ * This method wires up the buttons in the toolbar element argument by their
+ * data-action attributes, and keeps track of the elements that show what's
+ * named by their data-display attributes.
+ */
+GameOfLifeBoard.prototype.bindToolbar = function (toolbar)
+{
+    var buttons = toolbar.querySelectorAll("[data-action]");
+    for (var i = 0; i < buttons.length; i++)
+    {
+        buttons[i].onclick = this.createActionHandler(buttons[i].dataset.action);
+    }
+    var displays = toolbar.querySelectorAll("[data-display]");
+    for (var j = 0; j < displays.length; j++)
+    {
+        this.displays.push(displays[j]);
+    }
+};
+
+/*
+ * Helper for bindToolbar, it makes the event handler for a button
+ * whose data-action attribute is the action argument.
+ */
+GameOfLifeBoard.prototype.createActionHandler = function (action)
+{
+    var board = this;
+    if (action === "start")     return function () { board.start(); };
+    if (action === "pause")     return function () { board.pause(); };
+    if (action === "step")      return function () { board.step(); };
+    if (action === "reset")     return function () { board.reset(); };
+    return function () {};
+};
+
+/*
+ * This method starts the board running, along with the rest of its
+ * clock's boards if it has one.
+ */
+GameOfLifeBoard.prototype.start = function ()
+{
+    if (this.clock !== null)
+    {
+        this.clock.start();
+        return;
+    }
+    if (this.timer !== null)
+    {
+        return;
+    }
+    var board = this;
+    this.recordStartingCells();
+    this.timer = setInterval(function () { board.advance(); }, 1000 / this.fps);
+};
+
+/*
+ * This method pauses the board, along with the rest of its clock's boards.
+ */
+GameOfLifeBoard.prototype.pause = function ()
+{
+    if (this.clock !== null)
+    {
+        this.clock.pause();
+        return;
+    }
+    clearInterval(this.timer);
+    this.timer = null;
+};
+
+/*
+ * This method makes one generation on the board, or on all its clock's
+ * boards so they stay in step.
+ */
+GameOfLifeBoard.prototype.step = function ()
+{
+    if (this.clock !== null)
+    {
+        this.clock.step();
+        return;
+    }
+    this.recordStartingCells();
+    this.advance();
+};
+
+/*
+ * This method pauses the board and puts back the cells it had when it
+ * started running, or if it hasn't run since the last reset clears it.
+ * A board with a clock resets all the clock's boards.
+ */
+GameOfLifeBoard.prototype.reset = function ()
+{
+    if (this.clock !== null)
+    {
+        this.clock.reset();
+        return;
+    }
+    this.pause();
+    this.restoreStartingCells();
+};
+
+/*
+ * This method puts the pattern argument, an array of x, y pairs or an
+ * object with them in its pixels, on the board with its top, left
+ * corner at (x, y).
+ */
+GameOfLifeBoard.prototype.place = function (pattern, x, y)
+{
+    this.world.place(pattern, x, y);
+    this.render();
+};
+
+/*
+ * This method makes the cell at (x, y) a void cell, or if isVoid is
+ * false makes a void cell there dead again.
+ */
+GameOfLifeBoard.prototype.setVoid = function (x, y, isVoid)
+{
+    this.world.setVoid(x, y, isVoid);
+    this.render();
+};
+
+/*
+ * This method changes the board's rule, returning false, and leaving
+ * the rule alone, if the rulestring isn't one we understand.
+ */
+GameOfLifeBoard.prototype.setRule = function (text)
+{
+    var ruleSet = this.world.setRule(text);
+    if (ruleSet)
+    {
+        this.initCellColors();
+    }
+    this.render();
+    return ruleSet;
+};
+
+/*
+ * This method works out the pixel value each kind of cell is rendered
+ * with for the world's rule, which has its own number of dying states.
+ */
+GameOfLifeBoard.prototype.initCellColors = function ()
+{
+    this.cellColors = createCellColors(parseRuleString(this.world.getRule()).states);
+};
+
+/*
+ * Tests to see if the board is running, on its own or with its clock.
+ */
+GameOfLifeBoard.prototype.isRunning = function ()
+{
+    return (this.clock !== null) ? (this.clock.timer !== null) : (this.timer !== null);
+};
+
+/*
+ * This method makes the board's next generation and renders it. The
+ * board's own timer and its clock both call it.
+ */
+GameOfLifeBoard.prototype.advance = function ()
+{
+    this.world.step();
+    this.render();
+};
+
+/*
+ * This method remembers the board's cells before its first generation,
+ * so that reset can put them back.
+ */
+GameOfLifeBoard.prototype.recordStartingCells = function ()
+{
+    if (this.startingCells === null)
+    {
+        this.startingCells = this.world.getCells();
+        this.startingVoids = this.world.getVoids();
+    }
+};
+
+/*
+ * This method puts back the cells recordStartingCells remembered, or
+ * clears the board if there are none, and renders it.
+ */
+GameOfLifeBoard.prototype.restoreStartingCells = function ()
+{
+    this.world.clear();
+    if (this.startingCells !== null)
+    {
+        this.world.place(this.startingCells, 0, 0);
+        for (var i = 0; i < this.startingVoids.length; i += 2)
+        {
+            this.world.setVoid(this.startingVoids[i], this.startingVoids[i + 1]);
+        }
+    }
+    this.startingCells = null;
+    this.startingVoids = null;
+    this.render();
+};
+
+/*
+ * This is the event handler for clicks on the board's canvas, which put
+ * the board's pattern with its top, left corner on the clicked cell.
+ */
+GameOfLifeBoard.prototype.respondToClick = function (event)
+{
+    var bounds = this.canvas.getBoundingClientRect();
+    var scaleX = (bounds.width > 0) ? (this.canvas.width / bounds.width) : 1;
+    var scaleY = (bounds.height > 0) ? (this.canvas.height / bounds.height) : 1;
+    var x = (event.clientX - bounds.left) * scaleX;
+    var y = (event.clientY - bounds.top) * scaleY;
+    this.place(this.pattern, Math.floor(x / this.cellLength), Math.floor(y / this.cellLength));
+};
+
+/*
+ * This method draws the board's cells and grid lines on its canvas and
+ * updates its toolbar's displays.
+ */
+GameOfLifeBoard.prototype.render = function ()
+{
+    var context = this.canvas2D;
+    var cellLength = this.cellLength;
+    var canvasWidth = this.canvas.width;
+    var canvasHeight = this.canvas.height;
+    var pixels = this.pixels;
+    var colors = this.cellColors;
+    var population = 0;
+    pixels.fill(this.backgroundPixel);
+    this.world.forEachCell(function (x, y, cell)
+    {
+        if (cell === LIVE_CELL)
+        {
+            population++;
+        }
+
+        // COLOR THE CELL'S BOX OF PIXELS, CUT OFF AT THE CANVAS'S EDGE
+        var color = colors[cell];
+        if (color === 0)
+        {
+            return;
+        }
+        var left = x * cellLength;
+        var right = Math.min(canvasWidth, left + cellLength);
+        var bottom = Math.min(canvasHeight, (y + 1) * cellLength);
+        for (var pixelY = y * cellLength; pixelY < bottom; pixelY++)
+        {
+            var rowStart = pixelY * canvasWidth;
+            pixels.fill(color, rowStart + left, rowStart + right);
+        }
+    });
+    context.putImageData(this.imageData, 0, 0);
+
+    // GRID LINES ONLY HELP WHEN THE CELLS ARE BIG ENOUGH TO SEE THEM
+    if (cellLength >= BOARD_GRID_LINES_THRESHOLD)
+    {
+        context.strokeStyle = GRID_LINES_COLOR;
+        context.beginPath();
+        for (var col = 0; col <= this.world.width; col++)
+        {
+            context.moveTo(col * cellLength, 0);
+            context.lineTo(col * cellLength, this.world.height * cellLength);
+        }
+        for (var row = 0; row <= this.world.height; row++)
+        {
+            context.moveTo(0, row * cellLength);
+            context.lineTo(this.world.width * cellLength, row * cellLength);
+        }
+        context.stroke();
+    }
+
+    // AND SHOW THE NUMBERS
+    for (var i = 0; i < this.displays.length; i++)
+    {
+        var display = this.displays[i].dataset.display;
+        if (display === "generation")
+        {
+            this.displays[i].textContent = this.world.generation;
+        }
+        else if (display === "population")
+        {
+            this.displays[i].textContent = population;
+        }
+    }
+};
+
+// CLOCK METHODS
+
+/*
+ * This is the constructor for a clock that runs several boards at fps
+ * frames per second, making a generation on every one of them each tick.
+ */
+function GameOfLifeClock(initFPS)
+{
+    this.fps = (initFPS === undefined) ? BOARD_DEFAULT_FPS : initFPS;
+    this.boards = new Array();
+    this.timer = null;
+}
+
+/*
+ * This method makes the board argument one of the clock's boards, which
+ * then only runs when the clock does, at the clock's fps rather than
+ * its own.
+ */
+GameOfLifeClock.prototype.add = function (board)
+{
+    board.pause();
+    board.clock = this;
+    this.boards.push(board);
+};
+
+/*
+ * This method starts all the clock's boards running together.
+ */
+GameOfLifeClock.prototype.start = function ()
+{
+    if (this.timer !== null)
+    {
+        return;
+    }
+    var clock = this;
+    this.recordStartingCells();
+    this.timer = setInterval(function () { clock.tick(); }, 1000 / this.fps);
+};
+
+/*
+ * This method pauses all the clock's boards.
+ */
+GameOfLifeClock.prototype.pause = function ()
+{
+    clearInterval(this.timer);
+    this.timer = null;
+};
+
+/*
+ * This method makes one generation on each of the clock's boards.
+ */
+GameOfLifeClock.prototype.step = function ()
+{
+    this.recordStartingCells();
+    this.tick();
+};
+
+/*
+ * This method pauses the clock and resets all its boards, so
+ * they start again from the same generation.
+ */
+GameOfLifeClock.prototype.reset = function ()
+{
+    this.pause();
+    for (var i = 0; i < this.boards.length; i++)
+    {
+        this.boards[i].restoreStartingCells();
+    }
+};
+
+/*
+ * Called on a timed basis, this method advances every board by a
+ * generation, one after the other, so none can get ahead.
+ */
+GameOfLifeClock.prototype.tick = function ()
+{
+    for (var i = 0; i < this.boards.length; i++)
+    {
+        this.boards[i].advance();
+    }
+};
+
+/*
+ * Helper for start and step, it has each board remember its cells
+ * before its first generation.
+ */
+GameOfLifeClock.prototype.recordStartingCells = function ()
+{
+    for (var i = 0; i < this.boards.length; i++)
+    {
+        this.boards[i].recordStartingCells();
+    }
+};
@@ -0,0 +1,88 @@
+/*
+ * Conway's Game of Life (Seawolf Edition)
+ *
+ * This JavaScript file has the colors cells are drawn in, which the page
+ * and every GameOfLifeBoard share so a board looks the same wherever it
+ * is. Colors are kept as "#RRGGBB" strings and drawn as 32-bit pixel
+ * values in an ImageData. It uses the cell states from GameOfLifeCore.js,
+ * so it's loaded after it. Nothing in here touches the page.
+ *
+ * Authors: Richard McKenna & James Lynn
+ */
+
+// CELL COLOR CONSTANTS
+var LIVE_COLOR = "#FF0000";
+var VOID_COLOR = "#768FA5";
+var GRID_LINES_COLOR = "#CCCCCC";
+
+// DYING CELLS FADE FROM THE FIRST COLOR TO THE LAST ONE
+var FIRST_DYING_COLOR = "#2040FF";
+var LAST_DYING_COLOR = "#D8DEFF";
+
+// COLOR METHODS
+
+/*
+ * This function returns the "#RRGGBB" color that's the fraction argument
+ * of the way from the first color to the last one.
+ */
+function blendColors(firstColor, lastColor, fraction)
+{
+    var blended = "#";
+    for (var i = 1; i < 7; i += 2)
+    {
+        var first = parseInt(firstColor.substring(i, i + 2), 16);
+        var last = parseInt(lastColor.substring(i, i + 2), 16);
+        var value = Math.round(first + ((last - first) * fraction));
+        blended += ((value < 16) ? "0" : "") + value.toString(16);
+    }
+    return blended;
+}
+
+/*
+ * This function returns the pixel values for the number of colors in the
+ * steps argument, evenly spaced from the first color to the last one.
+ */
+function createColorRamp(firstColor, lastColor, steps)
+{
+    var ramp = new Uint32Array(steps);
+    for (var i = 0; i < steps; i++)
+    {
+        var fraction = (steps > 1) ? (i / (steps - 1)) : 0;
+        ramp[i] = packPixelColor(blendColors(firstColor, lastColor, fraction));
+    }
+    return ramp;
+}
+
+/*
+ * This function turns a "#RRGGBB" color into the opaque 32-bit pixel
+ * value with that color. Typed arrays use the computer's byte order,
+ * so that's the order the red, green, blue and alpha bytes go in.
+ */
+function packPixelColor(color)
+{
+    var red = parseInt(color.substring(1, 3), 16);
+    var green = parseInt(color.substring(3, 5), 16);
+    var blue = parseInt(color.substring(5, 7), 16);
+    var bytes = new Uint8Array([red, green, blue, 255]);
+    return new Uint32Array(bytes.buffer)[0];
+}
+
+/*
+ * This function returns the pixel value each cell value is drawn with for
+ * a rule with ruleStates states. Only live, void and dying cells are
+ * drawn, and only the dying states the rule has get colors, the rest
+ * are 0.
+ */
+function createCellColors(ruleStates)
+{
+    var cellColors = new Uint32Array(CELL_VALUES);
+    cellColors[LIVE_CELL] = packPixelColor(LIVE_COLOR);
+    cellColors[VOID_CELL] = packPixelColor(VOID_COLOR);
+
+    // THE DYING STATES FADE FROM ONE COLOR TO THE OTHER
+    if (ruleStates > 2)
+    {
+        cellColors.set(createColorRamp(FIRST_DYING_COLOR, LAST_DYING_COLOR, ruleStates - 2), FIRST_DYING_CELL);
+    }
+    return cellColors;
+}
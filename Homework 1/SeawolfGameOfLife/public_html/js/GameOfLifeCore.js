@@ -0,0 +1,1440 @@
+/*
+ * Conway's Game of Life (Seawolf Edition)
+ *
+ * This JavaScript file is the simulation itself, i.e. the grids, the
+ * rules, the topologies, void cells and the engines that make each new
+ * generation. Nothing in here touches the page, so it's used by the page,
+ * by the simulation worker and, as a module, by Node.
+ *
+ * A board is a World object, made with createWorld, which keeps its own
+ * grids, rule, topology and engine, so any number of them can be run side
+ * by side, and the page's own board is one of them. For example
+ *
+ *     var world = createWorld({ width: 64, height: 64, rule: "B36/S23" });
+ *     world.place([1, 0, 2, 1, 0, 2, 1, 2, 2, 2], 10, 10);
+ *     world.setVoid(20, 20);
+ *     world.step(100);
+ *     var cells = world.getCells();
+ *
+ * Authors: Richard McKenna & James Lynn
+ */
+
+// GAME OF LIFE CORE CONSTANTS & VARIABLES
+
+// CONSTANTS
+var DEAD_CELL;
+var LIVE_CELL;
+var BRIGHT_CELL;
+var VOID_CELL;
+var GHOST_CELL;
+var FIRST_DYING_CELL;
+var CELL_VALUES;
+var TOP_LEFT;
+var TOP_RIGHT;
+var BOTTOM_LEFT;
+var BOTTOM_RIGHT;
+var TOP;
+var BOTTOM;
+var LEFT;
+var RIGHT;
+var CENTER;
+var TOPOLOGY_PLANE;
+var TOPOLOGY_TORUS;
+var TOPOLOGY_HORIZONTAL_CYLINDER;
+var TOPOLOGY_VERTICAL_CYLINDER;
+var ENGINE_DENSE;
+var ENGINE_SPARSE;
+var UNBOUNDED_LIMIT;
+var UNBOUNDED_SPAN;
+var SPARSE_NEIGHBOR_OFFSETS;
+var TILE_SIZE;
+var TILE_STATS_LENGTH;
+var NEIGHBOR_WEIGHTS;
+var TRANSITION_TABLE_WIDTH;
+var MAX_NEIGHBORS;
+var MAX_RULE_STATES;
+var DEFAULT_RULE;
+var DEFAULT_WORLD_WIDTH;
+var DEFAULT_WORLD_HEIGHT;
+
+// NEIGHBOR LOOKUP TABLE FOR CELLS ON THE EDGES
+var cellLookup;
+
+// INITIALIZATION METHODS
+
+/*
+ * This function initializes all the things about the simulation that
+ * never change. It's called when this file is loaded.
+ */
+function initCoreConstants()
+{
+    // THESE REPRESENT THE POSSIBLE STATES FOR EACH CELL. THE DYING STATES
+    // OF A GENERATIONS RULE ARE FIRST_DYING_CELL, FIRST_DYING_CELL + 1 AND
+    // SO ON, AND A CELL CAN BE ANY OF CELL_VALUES VALUES, WHICH IS ALL A
+    // BYTE CAN HOLD. BRIGHT AND GHOST CELLS ARE ONLY USED BY THE PAGE
+    DEAD_CELL = 0;
+    LIVE_CELL = 1;
+    BRIGHT_CELL = 2;
+    VOID_CELL = 3;
+    GHOST_CELL = 4;
+    FIRST_DYING_CELL = 5;
+    CELL_VALUES = 256;
+
+    // THESE REPRESENT THE DIFFERENT TYPES OF CELL LOCATIONS IN THE GRID
+    TOP_LEFT = 0;
+    TOP_RIGHT = 1;
+    BOTTOM_LEFT = 2;
+    BOTTOM_RIGHT = 3;
+    TOP = 4;
+    BOTTOM = 5;
+    LEFT = 6;
+    RIGHT = 7;
+    CENTER = 8;
+
+    // THESE REPRESENT THE WAYS THE GRID EDGES MAY BE JOINED. A PLANE HAS
+    // DEAD SPACE PAST ALL ITS EDGES, A TORUS WRAPS BOTH WAYS, A HORIZONTAL
+    // CYLINDER JOINS THE LEFT AND RIGHT EDGES AND A VERTICAL CYLINDER JOINS
+    // THE TOP AND BOTTOM EDGES
+    TOPOLOGY_PLANE = 0;
+    TOPOLOGY_TORUS = 1;
+    TOPOLOGY_HORIZONTAL_CYLINDER = 2;
+    TOPOLOGY_VERTICAL_CYLINDER = 3;
+
+    // THESE ARE THE SIMULATION ENGINES. THE DENSE ENGINE KEEPS A VALUE FOR
+    // EVERY CELL IN A WORLD OF A FIXED SIZE AND UPDATES ALL OF THEM EACH
+    // GENERATION. THE SPARSE ENGINE ONLY KEEPS THE CELLS THAT AREN'T DEAD,
+    // SO ITS WORLD IS AN UNBOUNDED PLANE AND IT ONLY DOES WORK NEAR THEM
+    ENGINE_DENSE = "dense";
+    ENGINE_SPARSE = "sparse";
+
+    // THE SPARSE ENGINE'S ROWS AND COLUMNS GO FROM -UNBOUNDED_LIMIT TO
+    // UNBOUNDED_LIMIT - 1, WHICH KEEPS ITS CELL INDICES SAFE INTEGERS
+    UNBOUNDED_LIMIT = 33554432;
+    UNBOUNDED_SPAN = UNBOUNDED_LIMIT * 2;
+    SPARSE_NEIGHBOR_OFFSETS = [ -UNBOUNDED_SPAN - 1, -UNBOUNDED_SPAN, -UNBOUNDED_SPAN + 1,
+                                -1, 1,
+                                UNBOUNDED_SPAN - 1, UNBOUNDED_SPAN, UNBOUNDED_SPAN + 1 ];
+
+    // THE DENSE ENGINE ONLY UPDATES THE TILES OF THIS MANY CELLS SQUARED
+    // WHERE SOMETHING IS HAPPENING, AND KEEPS A POPULATION AND BOUNDING
+    // BOX FOR EACH, WHICH IS 5 NUMBERS
+    TILE_SIZE = 32;
+    TILE_STATS_LENGTH = 5;
+
+    // WHAT EACH KIND OF CELL ADDS TO ITS NEIGHBORS' COUNTS, BY CELL VALUE.
+    // VOID AND DYING CELLS COUNT AS DEAD, BRIGHT AND GHOST CELLS NEVER END
+    // UP IN THE GRID DURING AN UPDATE BUT WE COUNT THEM THE WAY WE ALWAYS
+    // HAVE, SO THE MOST A COUNT CAN BE IS 8 x 4
+    NEIGHBOR_WEIGHTS = new Uint8Array(CELL_VALUES);
+    NEIGHBOR_WEIGHTS[LIVE_CELL] = 1;
+    NEIGHBOR_WEIGHTS[BRIGHT_CELL] = 2;
+    NEIGHBOR_WEIGHTS[GHOST_CELL] = 4;
+    TRANSITION_TABLE_WIDTH = 33;
+
+    // RULE CONSTANTS, NOTE THAT B3/S23 IS CONWAY'S ORIGINAL RULE
+    MAX_NEIGHBORS = 8;
+    DEFAULT_RULE = "B3/S23";
+
+    // A GENERATIONS RULE CAN HAVE AS MANY STATES AS THERE ARE CELL VALUES
+    // LEFT FOR THE DYING STATES, PLUS THE LIVE AND DEAD STATES
+    MAX_RULE_STATES = CELL_VALUES - FIRST_DYING_CELL + 2;
+
+
+    // THE SIZE OF A WORLD MADE WITHOUT ONE, IN CELLS
+    DEFAULT_WORLD_WIDTH = 64;
+    DEFAULT_WORLD_HEIGHT = 64;
+}
+
+/*
+ * This function returns a JavaScript object, which is kind of like
+ * a C struct in that it only has data. There are 9 different types of
+ * cells in the grid, and so we use 9 CellType objects to store which
+ * adjacent cells need to be checked when running the simulation.
+ */
+function CellType(initNumNeighbors, initCellValues)
+{
+    this.numNeighbors = initNumNeighbors;
+    this.cellValues = initCellValues;
+}
+
+/*
+ * This function initializes the 9 CellType objects that serve
+ * as a lookup table for when we are running the simulation so
+ * that we know which neighboring cells have to be examined for
+ * determining the next frame's state for a given cell.
+ */
+function initCellLookup()
+{
+    // WE'LL PUT ALL THE VALUES IN HERE
+    cellLookup = new Array();
+
+    // TOP LEFT
+    var topLeftArray        = new Array( 1, 0,  1,  1,  0,  1);
+    cellLookup[TOP_LEFT]    = new CellType(3, topLeftArray);
+
+    // TOP RIGHT
+    var topRightArray       = new Array(-1, 0, -1,  1,  0,  1);
+    cellLookup[TOP_RIGHT]   = new CellType(3, topRightArray);
+
+    // BOTTOM LEFT
+    var bottomLeftArray     = new Array( 1, 0,  1, -1, 0, -1);
+    cellLookup[BOTTOM_LEFT] = new CellType(3, bottomLeftArray);
+
+    // BOTTOM RIGHT
+    var bottomRightArray    = new Array(-1, 0, -1, -1, 0, -1);
+    cellLookup[BOTTOM_RIGHT]= new CellType(3, bottomRightArray);
+
+    // TOP
+    var topArray            = new Array(-1, 0, -1, 1, 0, 1, 1, 1, 1, 0);
+    cellLookup[TOP]         = new CellType(5, topArray);
+
+    // BOTTOM
+    var bottomArray         = new Array(-1, 0, -1, -1, 0, -1, 1, -1, 1, 0);
+    cellLookup[BOTTOM]      = new CellType(5, bottomArray);
+
+    // LEFT
+    var leftArray           = new Array(0, -1, 1, -1, 1, 0, 1, 1, 0, 1);
+    cellLookup[LEFT]        = new CellType(5, leftArray);
+
+    // RIGHT
+    var rightArray          = new Array(0, -1, -1, -1, -1, 0, -1, 1, 0, 1);
+    cellLookup[RIGHT]       = new CellType(5, rightArray);
+
+    // CENTER
+    var centerArray         = new Array(-1, -1, -1, 0, -1, 1, 0, 1, 1, 1, 1, 0, 1, -1, 0, -1);
+    cellLookup[CENTER]      = new CellType(8, centerArray);
+}
+
+// WORLD METHODS
+
+/*
+ * This function returns a new World, which is a board with its own grid,
+ * rule, topology and engine. The options argument may have a width and
+ * height in cells, a rulestring, a topology, i.e. one of the TOPOLOGY_
+ * constants, and an engine, i.e. ENGINE_DENSE or ENGINE_SPARSE, whose
+ * world is unbounded and so has no size. It may also have a grid of
+ * cells and a generation count to start from, like getOptions returns.
+ * Anything left out gets a default, which makes an empty 64x64 plane with
+ * Conway's rule on the dense engine. A bad rulestring throws an Error.
+ */
+function createWorld(options)
+{
+    return new World((options === undefined) ? {} : options);
+}
+
+/*
+ * This is the constructor for the boards made by createWorld. Its width,
+ * height, generation, topology and engine are public, everything else
+ * belongs to the engine methods. Only the generation may be changed
+ * directly, the rest is changed with the methods below.
+ */
+function World(initOptions)
+{
+    this.width = (initOptions.width === undefined) ? DEFAULT_WORLD_WIDTH : initOptions.width;
+    this.height = (initOptions.height === undefined) ? DEFAULT_WORLD_HEIGHT : initOptions.height;
+    this.generation = (initOptions.generation === undefined) ? 0 : initOptions.generation;
+    this.topology = (initOptions.topology === undefined) ? TOPOLOGY_PLANE : initOptions.topology;
+    this.engine = (initOptions.engine === undefined) ? ENGINE_DENSE : initOptions.engine;
+
+    // BOTH GRIDS START OUT HOLDING THE BOARD
+    if (initOptions.grid === undefined)
+    {
+        this.renderGrid = this.createGrid();
+        this.updateGrid = this.createGrid();
+    }
+    else
+    {
+        this.renderGrid = copyGrid(initOptions.grid);
+        this.updateGrid = copyGrid(initOptions.grid);
+    }
+    this.invalidateActiveTiles();
+
+    var ruleText = (initOptions.rule === undefined) ? DEFAULT_RULE : initOptions.rule;
+    var rule = parseRuleString(ruleText);
+    if (rule === null)
+    {
+        throw new Error("Unknown rule " + ruleText);
+    }
+    if (!this.setRule(ruleText))
+    {
+        throw new Error("The rule " + rule.ruleString + " has cells born with no neighbors, "
+                      + "which the sparse engine's unbounded plane can't run");
+    }
+}
+
+/*
+ * This method puts a pattern in the world with its top, left corner at
+ * (x, y). The pattern is either an array of x, y pairs, one for each live
+ * cell, which is how the page keeps patterns, or an object with them in
+ * its pixels, like parsePattern returns. Void cells stay void, and on a
+ * wrapping topology the pattern continues across the edges.
+ */
+World.prototype.place = function (pattern, x, y)
+{
+    var pixels = (pattern.pixels === undefined) ? pattern : pattern.pixels;
+    for (var i = 0; i < pixels.length; i += 2)
+    {
+        var col = this.wrapCol(x + pixels[i]);
+        var row = this.wrapRow(y + pixels[i + 1]);
+        if (this.getCell(col, row) !== VOID_CELL)
+        {
+            this.setCell(col, row, LIVE_CELL);
+        }
+    }
+};
+
+/*
+ * This method makes the cell at (x, y) a void cell, which is never born
+ * into and doesn't count as a neighbor, or if isVoid is false makes a
+ * void cell there dead again.
+ */
+World.prototype.setVoid = function (x, y, isVoid)
+{
+    if (isVoid === false)
+    {
+        if (this.getCell(x, y) === VOID_CELL)
+        {
+            this.setCell(x, y, DEAD_CELL);
+        }
+        return;
+    }
+    this.setCell(x, y, VOID_CELL);
+};
+
+/*
+ * This method sets the cell at (x, y) to the value argument, whatever
+ * it was before. Cells outside the world are ignored.
+ */
+World.prototype.setCell = function (x, y, value)
+{
+    if (this.isValidCell(y, x))
+    {
+        this.setIndexCell(this.getCellIndex(y, x), value);
+    }
+};
+
+/*
+ * Returns the state of the cell at (x, y), i.e. DEAD_CELL, LIVE_CELL,
+ * VOID_CELL or one of a Generations rule's dying states, or -1 if it's
+ * outside the world.
+ */
+World.prototype.getCell = function (x, y)
+{
+    return this.getGridCell(this.renderGrid, y, x);
+};
+
+/*
+ * Returns the state of the cell with the index argument, which is how the
+ * edit and generation histories refer to cells. See getCellIndex.
+ */
+World.prototype.getIndexCell = function (index)
+{
+    return getGridIndexCell(this.renderGrid, index);
+};
+
+/*
+ * This method sets the cell with the index argument to the value argument.
+ */
+World.prototype.setIndexCell = function (index, value)
+{
+    // IF THE BOARD CHANGED THE DENSE ENGINE HAS TO LOOK AT ALL OF IT AGAIN
+    this.invalidateActiveTiles();
+    setGridIndexCell(this.renderGrid, index, value);
+    setGridIndexCell(this.updateGrid, index, value);
+};
+
+/*
+ * This method sets the cell with each index in the indices argument to
+ * the value at the same place in the cells argument.
+ */
+World.prototype.setCells = function (indices, cells)
+{
+    for (var i = 0; i < indices.length; i++)
+    {
+        this.setIndexCell(indices[i], cells[i]);
+    }
+};
+
+/*
+ * Returns the world's live cells as an array of x, y pairs, the same way
+ * patterns are kept, so they can be placed in another world.
+ */
+World.prototype.getCells = function ()
+{
+    return this.getCellsInState(LIVE_CELL);
+};
+
+/*
+ * Returns the world's void cells as an array of x, y pairs.
+ */
+World.prototype.getVoids = function ()
+{
+    return this.getCellsInState(VOID_CELL);
+};
+
+/*
+ * Helper for getCells and getVoids, it returns the cells in the state
+ * argument as an array of x, y pairs.
+ */
+World.prototype.getCellsInState = function (cellState)
+{
+    var pixels = new Array();
+    this.forEachCell(function (x, y, value)
+    {
+        if (value === cellState)
+        {
+            pixels.push(x, y);
+        }
+    });
+    return pixels;
+};
+
+/*
+ * This method calls callback(x, y, value) for every cell in the world
+ * that isn't dead, which is quicker than asking for them one at a time.
+ * The callback mustn't change the world.
+ */
+World.prototype.forEachCell = function (callback)
+{
+    var world = this;
+    forEachGridCell(this.renderGrid, function (index, value)
+    {
+        callback(world.getIndexCol(index), world.getIndexRow(index), value);
+    });
+};
+
+/*
+ * This method does what forEachCell does, but calls callback(index, value)
+ * with each cell's index rather than where it is.
+ */
+World.prototype.forEachIndexedCell = function (callback)
+{
+    forEachGridCell(this.renderGrid, callback);
+};
+
+/*
+ * This method calls callback(x, y, value) for every cell that isn't dead
+ * in the rectangle with its top, left corner at (x, y) that's width cells
+ * across and height cells down. A sparse grid with fewer cells than there
+ * are in the rectangle is quicker to go through cell by cell, otherwise we
+ * go through the rectangle. The callback mustn't change the world.
+ */
+World.prototype.forEachCellInRect = function (x, y, width, height, callback)
+{
+    var lastX = x + width;
+    var lastY = y + height;
+    if ((this.engine === ENGINE_SPARSE) && (this.renderGrid.size < (width * height)))
+    {
+        this.forEachCell(function (cellX, cellY, value)
+        {
+            if ((cellX >= x) && (cellX < lastX) && (cellY >= y) && (cellY < lastY))
+            {
+                callback(cellX, cellY, value);
+            }
+        });
+        return;
+    }
+    if (this.engine === ENGINE_SPARSE)
+    {
+        for (var row = y; row < lastY; row++)
+        {
+            for (var col = x; col < lastX; col++)
+            {
+                var cell = this.getGridCell(this.renderGrid, row, col);
+                if (cell !== DEAD_CELL)
+                {
+                    callback(col, row, cell);
+                }
+            }
+        }
+        return;
+    }
+
+    // THE DENSE GRID IS QUICKER TO GO THROUGH DIRECTLY
+    var grid = this.renderGrid;
+    var firstRow = Math.max(0, y);
+    var firstCol = Math.max(0, x);
+    lastY = Math.min(this.height, lastY);
+    lastX = Math.min(this.width, lastX);
+    for (var i = firstRow; i < lastY; i++)
+    {
+        var rowIndex = i * this.width;
+        for (var j = firstCol; j < lastX; j++)
+        {
+            if (grid[rowIndex + j] !== DEAD_CELL)
+            {
+                callback(j, i, grid[rowIndex + j]);
+            }
+        }
+    }
+};
+
+/*
+ * This method kills every cell in the world and takes away its void cells.
+ */
+World.prototype.clear = function ()
+{
+    clearGrid(this.renderGrid);
+    clearGrid(this.updateGrid);
+    this.invalidateActiveTiles();
+    this.generation = 0;
+};
+
+/*
+ * Returns the options createWorld needs to make a copy of this world,
+ * including a copy of its cells, e.g. to run it somewhere else.
+ */
+World.prototype.getOptions = function ()
+{
+    return { width: this.width,
+             height: this.height,
+             generation: this.generation,
+             rule: this.ruleString,
+             topology: this.topology,
+             engine: this.engine,
+             grid: copyGrid(this.renderGrid) };
+};
+
+// RULE METHODS
+
+/*
+ * This function parses a Life-like or Generations rulestring, returning an
+ * object with birth and survival arrays indexed by the number of living
+ * neighbors, the number of states and the rulestring in its canonical B/S
+ * or B/S/C form. We accept the standard B36/S23 notation (in either order
+ * and any case) as well as the older S/B notation, where "23/36" means
+ * S23/B36. A Generations rule adds its number of states, like B2/S/C3 or
+ * the older /2/3. If the rulestring can't be understood null is returned.
+ */
+function parseRuleString(text)
+{
+    if ((text === undefined) || (text === null))
+    {
+        return null;
+    }
+
+    // SPACES DON'T MEAN ANYTHING IN A RULESTRING
+    var rule = String(text).replace(/\s+/g, "").toUpperCase();
+    var birthDigits;
+    var survivalDigits;
+    var states = 2;
+    var match;
+
+    // TAKE OFF THE NUMBER OF STATES, IF THERE IS ONE, WHICH IS ALWAYS
+    // THE THIRD PART SO "23/3" IS STILL CONWAY'S RULE IN S/B NOTATION
+    if ((match = rule.match(/^([^\/]*\/[^\/]*)\/[CG]?([0-9]+)$/)) !== null)
+    {
+        states = parseInt(match[2], 10);
+        rule = match[1];
+        if ((states < 2) || (states > MAX_RULE_STATES))
+        {
+            return null;
+        }
+    }
+
+    if ((match = rule.match(/^B([0-8]*)\/S([0-8]*)$/)) !== null)
+    {
+        birthDigits = match[1];
+        survivalDigits = match[2];
+    }
+    else if ((match = rule.match(/^S([0-8]*)\/B([0-8]*)$/)) !== null)
+    {
+        survivalDigits = match[1];
+        birthDigits = match[2];
+    }
+    else if ((match = rule.match(/^([0-8]*)\/([0-8]*)$/)) !== null)
+    {
+        survivalDigits = match[1];
+        birthDigits = match[2];
+    }
+    else
+    {
+        return null;
+    }
+
+    // NOW FILL IN THE LOOKUP ARRAYS
+    var birth = new Array();
+    var survival = new Array();
+    for (var i = 0; i <= MAX_NEIGHBORS; i++)
+    {
+        birth[i] = (birthDigits.indexOf(String(i)) >= 0);
+        survival[i] = (survivalDigits.indexOf(String(i)) >= 0);
+    }
+
+    // AND BUILD THE CANONICAL FORM, WITH THE DIGITS IN ORDER
+    var canonical = "B";
+    for (var j = 0; j <= MAX_NEIGHBORS; j++)
+    {
+        if (birth[j]) canonical += j;
+    }
+    canonical += "/S";
+    for (var k = 0; k <= MAX_NEIGHBORS; k++)
+    {
+        if (survival[k]) canonical += k;
+    }
+    if (states > 2)
+    {
+        canonical += "/C" + states;
+    }
+
+    return { birth: birth, survival: survival, states: states, ruleString: canonical };
+}
+
+/*
+ * This method makes the rule described by the rulestring argument the
+ * world's rule. It returns true if the rulestring was valid, false
+ * otherwise, in which case the rule is unchanged.
+ */
+World.prototype.setRule = function (text)
+{
+    var rule = parseRuleString(text);
+    if (rule === null)
+    {
+        return false;
+    }
+
+    // ON AN UNBOUNDED PLANE B0 WOULD MEAN INFINITELY MANY BIRTHS
+    if ((this.engine === ENGINE_SPARSE) && rule.birth[0])
+    {
+        return false;
+    }
+    this.ruleString = rule.ruleString;
+    this.birthRule = rule.birth;
+    this.survivalRule = rule.survival;
+    this.ruleStates = rule.states;
+
+    // THE DENSE ENGINE LOOKS THE NEW RULE UP RATHER THAN TESTING IT
+    this.buildTransitionTable();
+    this.invalidateActiveTiles();
+    return true;
+};
+
+/*
+ * Returns the world's rulestring, in its canonical form.
+ */
+World.prototype.getRule = function ()
+{
+    return this.ruleString;
+};
+
+/*
+ * This method applies the world's rule to a single cell, returning the
+ * state the cell should have next frame given its current state and
+ * number of living neighbors. Void cells are never born into and never
+ * change, whatever the rule.
+ */
+World.prototype.calcNextCellState = function (cell, numLivingNeighbors)
+{
+    // VOID CELLS STAY VOID
+    if (cell === VOID_CELL)
+    {
+        return VOID_CELL;
+    }
+    // LIVE CELLS EITHER SURVIVE OR START DYING, WHICH FOR
+    // A LIFE-LIKE RULE MEANS THEY'RE DEAD RIGHT AWAY
+    else if (cell === LIVE_CELL)
+    {
+        if (this.survivalRule[numLivingNeighbors])
+        {
+            return LIVE_CELL;
+        }
+        return (this.ruleStates > 2) ? FIRST_DYING_CELL : DEAD_CELL;
+    }
+    // DYING CELLS GO ON TO THE NEXT DYING STATE, OR ARE DEAD AFTER THE LAST
+    else if (cell >= FIRST_DYING_CELL)
+    {
+        return ((cell - FIRST_DYING_CELL + 1) < (this.ruleStates - 2)) ? cell + 1 : DEAD_CELL;
+    }
+    // AND DEAD CELLS ARE EITHER BORN OR STAY DEAD
+    else
+    {
+        return this.birthRule[numLivingNeighbors] ? LIVE_CELL : DEAD_CELL;
+    }
+};
+
+// GRID CELL MANAGEMENT METHODS
+
+/*
+ * This method tests to see if (row, col) represents a
+ * valid cell in the grid. If it is a valid cell, true is
+ * returned, else false.
+ */
+World.prototype.isValidCell = function (row, col)
+{
+    // THE UNBOUNDED PLANE ONLY ENDS WHERE CELL INDICES WOULD STOP WORKING
+    if (this.engine === ENGINE_SPARSE)
+    {
+        return (row >= -UNBOUNDED_LIMIT) && (row < UNBOUNDED_LIMIT)
+            && (col >= -UNBOUNDED_LIMIT) && (col < UNBOUNDED_LIMIT);
+    }
+
+    // IS IT OUTSIDE THE GRID?
+    if (    (row < 0) ||
+        (col < 0) ||
+        (row >= this.height) ||
+        (col >= this.width))
+    {
+        return false;
+    }
+    // IT'S INSIDE THE GRID
+    else
+    {
+        return true;
+    }
+};
+
+/*
+ * Accessor method for getting the cell value at location (row, col) in
+ * the grid argument, which is one of this world's grids or one made by
+ * its createGrid.
+ */
+World.prototype.getGridCell = function (grid, row, col)
+{
+    // IGNORE IF IT'S OUTSIDE THE GRID
+    if (!this.isValidCell(row, col))
+    {
+        return -1;
+    }
+    return getGridIndexCell(grid, this.getCellIndex(row, col));
+};
+
+/*
+ * Mutator method for setting the cell value at location (row, col) in a
+ * grid made by createGrid. The world's own cells are set with setCell.
+ */
+World.prototype.setGridCell = function (grid, row, col, value)
+{
+    // IGNORE IF IT'S OUTSIDE THE GRID
+    if (!this.isValidCell(row, col))
+    {
+        return;
+    }
+    setGridIndexCell(grid, this.getCellIndex(row, col), value);
+};
+
+/*
+ * This method makes an empty grid for the world's engine, which the page
+ * also uses for the grids it draws on top of the world. The dense engine
+ * uses a typed array with a value for every cell in the world, which
+ * starts out all 0s, i.e. DEAD_CELLs. The sparse engine uses a Map from
+ * cell index to value that only holds the cells that aren't dead.
+ */
+World.prototype.createGrid = function ()
+{
+    if (this.engine === ENGINE_SPARSE)
+    {
+        return new Map();
+    }
+    return new Uint8Array(this.width * this.height);
+};
+
+/*
+ * This function makes a new grid holding the same cells as the grid argument.
+ */
+function copyGrid(grid)
+{
+    if (grid instanceof Map)
+    {
+        return new Map(grid);
+    }
+    return grid.slice();
+}
+
+/*
+ * This function makes every cell in the grid argument dead.
+ */
+function clearGrid(grid)
+{
+    if (grid instanceof Map)
+    {
+        grid.clear();
+    }
+    else
+    {
+        grid.fill(DEAD_CELL);
+    }
+}
+
+/*
+ * This method calculates the index of the cell at (row, col), which
+ * is how the grids, the edit history and the generation history refer
+ * to cells. The sparse engine's indices can be much bigger than the
+ * dense engine's since its rows are UNBOUNDED_SPAN cells long.
+ */
+World.prototype.getCellIndex = function (row, col)
+{
+    if (this.engine === ENGINE_SPARSE)
+    {
+        return ((row + UNBOUNDED_LIMIT) * UNBOUNDED_SPAN) + (col + UNBOUNDED_LIMIT);
+    }
+    return (row * this.width) + col;
+};
+
+/*
+ * Returns the row of the cell with the index argument.
+ */
+World.prototype.getIndexRow = function (index)
+{
+    if (this.engine === ENGINE_SPARSE)
+    {
+        return Math.floor(index / UNBOUNDED_SPAN) - UNBOUNDED_LIMIT;
+    }
+    return Math.floor(index / this.width);
+};
+
+/*
+ * Returns the column of the cell with the index argument.
+ */
+World.prototype.getIndexCol = function (index)
+{
+    if (this.engine === ENGINE_SPARSE)
+    {
+        return (index % UNBOUNDED_SPAN) - UNBOUNDED_LIMIT;
+    }
+    return index % this.width;
+};
+
+/*
+ * Accessor method for getting the cell value in the grid at the index
+ * argument. Cells missing from a sparse grid are dead.
+ */
+function getGridIndexCell(grid, index)
+{
+    if (grid instanceof Map)
+    {
+        var value = grid.get(index);
+        return (value === undefined) ? DEAD_CELL : value;
+    }
+    return grid[index];
+}
+
+/*
+ * Mutator method for setting the cell value in the grid at the index
+ * argument. Dead cells are taken out of a sparse grid.
+ */
+function setGridIndexCell(grid, index, value)
+{
+    if (grid instanceof Map)
+    {
+        if (value === DEAD_CELL)
+        {
+            grid.delete(index);
+        }
+        else
+        {
+            grid.set(index, value);
+        }
+        return;
+    }
+    grid[index] = value;
+}
+
+/*
+ * This function calls callback(index, value) for every cell in the grid
+ * argument that isn't dead. The callback mustn't change the grid.
+ */
+function forEachGridCell(grid, callback)
+{
+    if (grid instanceof Map)
+    {
+        grid.forEach(function (value, index)
+        {
+            callback(index, value);
+        });
+        return;
+    }
+    for (var index = 0; index < grid.length; index++)
+    {
+        if (grid[index] !== DEAD_CELL)
+        {
+            callback(index, grid[index]);
+        }
+    }
+}
+
+// TOPOLOGY METHODS
+
+/*
+ * This method changes which of the world's edges are joined to the
+ * topology argument, i.e. one of the TOPOLOGY_ constants. The cells
+ * are left where they are.
+ */
+World.prototype.setTopology = function (newTopology)
+{
+    this.topology = newTopology;
+    this.invalidateActiveTiles();
+};
+
+/*
+ * Tests to see if the left and right edges of the grid are joined.
+ */
+World.prototype.wrapsHorizontally = function ()
+{
+    // THE UNBOUNDED PLANE HAS NO EDGES TO JOIN
+    return (this.engine === ENGINE_DENSE)
+        && ((this.topology === TOPOLOGY_TORUS) || (this.topology === TOPOLOGY_HORIZONTAL_CYLINDER));
+};
+
+/*
+ * Tests to see if the top and bottom edges of the grid are joined.
+ */
+World.prototype.wrapsVertically = function ()
+{
+    // THE UNBOUNDED PLANE HAS NO EDGES TO JOIN
+    return (this.engine === ENGINE_DENSE)
+        && ((this.topology === TOPOLOGY_TORUS) || (this.topology === TOPOLOGY_VERTICAL_CYLINDER));
+};
+
+/*
+ * If the left and right edges are joined this method maps a column
+ * that's off either side of the grid to the column it wraps around to.
+ * Otherwise the column is returned unchanged.
+ */
+World.prototype.wrapCol = function (col)
+{
+    if (!this.wrapsHorizontally())
+    {
+        return col;
+    }
+    return ((col % this.width) + this.width) % this.width;
+};
+
+/*
+ * If the top and bottom edges are joined this method maps a row
+ * that's off either end of the grid to the row it wraps around to.
+ * Otherwise the row is returned unchanged.
+ */
+World.prototype.wrapRow = function (row)
+{
+    if (!this.wrapsVertically())
+    {
+        return row;
+    }
+    return ((row % this.height) + this.height) % this.height;
+};
+
+/*
+ * A cell's type determines which adjacent cells need to be tested
+ * during each frame of the simulation. This method tests the cell
+ * at (row, col), and returns the constant representing which of
+ * the 9 different types of cells it is. Note that an edge only
+ * counts as an edge if it doesn't wrap around, so on a torus
+ * every cell is a CENTER cell.
+ */
+World.prototype.determineCellType = function (row, col)
+{
+    var top = (row === 0) && !this.wrapsVertically();
+    var bottom = (row === (this.height-1)) && !this.wrapsVertically();
+    var left = (col === 0) && !this.wrapsHorizontally();
+    var right = (col === (this.width-1)) && !this.wrapsHorizontally();
+
+    if (top && left)            return TOP_LEFT;
+    else if (top && right)      return TOP_RIGHT;
+    else if (bottom && left)    return BOTTOM_LEFT;
+    else if (bottom && right)   return BOTTOM_RIGHT;
+    else if (top)               return TOP;
+    else if (bottom)            return BOTTOM;
+    else if (left)              return LEFT;
+    else if (right)             return RIGHT;
+    else                        return CENTER;
+};
+
+/*
+ * This method counts the living cells adjacent to the cell at
+ * (row, col). This count is returned.
+ */
+World.prototype.calcLivingNeighbors = function (row, col)
+{
+    var numLivingNeighbors = 0;
+
+    // DEPENDING ON THE TYPE OF CELL IT IS WE'LL CHECK
+    // DIFFERENT ADJACENT CELLS
+    var cellType = this.determineCellType(row, col);
+    var cellsToCheck = cellLookup[cellType];
+    for (var counter = 0; counter < (cellsToCheck.numNeighbors * 2); counter+=2)
+    {
+        // NEIGHBORS ACROSS A WRAPPING EDGE ARE ON THE OTHER SIDE
+        var neighborCol = this.wrapCol(col + cellsToCheck.cellValues[counter]);
+        var neighborRow = this.wrapRow(row + cellsToCheck.cellValues[counter+1]);
+        var index = (neighborRow * this.width) + neighborCol;
+
+        // VOID AND DYING NEIGHBORS COUNT AS DEAD
+        numLivingNeighbors += NEIGHBOR_WEIGHTS[this.updateGrid[index]];
+    }
+    return numLivingNeighbors;
+};
+
+// ENGINE METHODS
+
+/*
+ * This method switches the world to the engine argument, which is
+ * ENGINE_DENSE or ENGINE_SPARSE, moving the cells and void cells over to
+ * the new engine's grids. Cells off the edges of the dense engine's world
+ * don't fit in it and are lost. Returns false, leaving everything alone,
+ * if the sparse engine is picked while the rule has cells being born with
+ * no neighbors, which would fill an unbounded plane.
+ */
+World.prototype.setEngine = function (newEngine)
+{
+    if (newEngine === this.engine)
+    {
+        return true;
+    }
+    if ((newEngine === ENGINE_SPARSE) && this.birthRule[0])
+    {
+        return false;
+    }
+
+    // REMEMBER WHERE EVERYTHING IS USING THE OLD ENGINE'S INDICES
+    var cells = new Array();
+    this.forEachCell(function (x, y, value)
+    {
+        cells.push(x, y, value);
+    });
+
+    // AND PUT IT ALL IN THE NEW ENGINE'S GRIDS
+    this.engine = newEngine;
+    this.renderGrid = this.createGrid();
+    this.updateGrid = this.createGrid();
+    this.invalidateActiveTiles();
+    for (var i = 0; i < cells.length; i += 3)
+    {
+        this.setCell(cells[i], cells[i + 1], cells[i + 2]);
+    }
+    return true;
+};
+
+/*
+ * This method runs the simulation for numGenerations generations, or
+ * just the one if it's left out.
+ */
+World.prototype.step = function (numGenerations)
+{
+    var steps = (numGenerations === undefined) ? 1 : numGenerations;
+    for (var i = 0; i < steps; i++)
+    {
+        this.nextGeneration();
+    }
+};
+
+/*
+ * This method makes the next generation with the world's engine and
+ * returns its changes, as built by calcNextGeneration.
+ */
+World.prototype.nextGeneration = function ()
+{
+    // THE GRID WE RENDERED LAST FRAME IS THE BASIS FOR THIS ONE
+    this.swapGrids();
+    var changes;
+    if (this.engine === ENGINE_SPARSE)
+    {
+        changes = this.calcNextSparseGeneration();
+    }
+    else
+    {
+        changes = this.calcNextGeneration();
+    }
+    this.generation++;
+    return changes;
+};
+
+/*
+ * This method makes the changes argument, which another copy of the world
+ * got back from nextGeneration, e.g. in the simulation worker, to this one
+ * and counts the generation.
+ */
+World.prototype.applyGeneration = function (changes)
+{
+    this.setCells(changes.changedIndices, changes.newCells);
+    this.generation++;
+};
+
+/*
+ * This method takes the world back a generation, putting the cells with
+ * the indices argument back to the values in the previousCells argument,
+ * which is what they were before the generation changed them.
+ */
+World.prototype.revertGeneration = function (indices, previousCells)
+{
+    this.setCells(indices, previousCells);
+    this.generation--;
+};
+
+/*
+ * This method does the dense engine's work for nextGeneration, filling
+ * the render grid with the generation after the one in the update grid.
+ * It returns an object with the indices of the cells that changed, what
+ * they were before and after, and the population, births, deaths and
+ * bounding box of the live cells for the statistics panel.
+ *
+ * The world is split into square tiles and only the active ones, those
+ * with a cell that changed last generation in or next to them, are
+ * updated. A tile whose neighborhood didn't change can't change either,
+ * and since both grids already hold it there's nothing to write.
+ */
+World.prototype.calcNextGeneration = function ()
+{
+    this.prepareActiveTiles();
+
+    // WE'LL KEEP TRACK OF WHAT CHANGES SO WE CAN STEP BACK
+    var changes = { changedIndices: new Array(),
+                    previousCells: new Array(),
+                    newCells: new Array(),
+                    population: 0,
+                    births: 0,
+                    deaths: 0,
+                    bounds: createBounds() };
+
+    // LOCAL COPIES OF WHAT WE USE FOR EVERY CELL
+    var width = this.width;
+    var height = this.height;
+    var oldGrid = this.updateGrid;
+    var newGrid = this.renderGrid;
+    var weights = NEIGHBOR_WEIGHTS;
+    var table = this.transitionTable;
+    var activeTiles = this.activeTiles;
+    var tileStats = this.tileStats;
+    var tilesAcross = this.tilesAcross;
+    this.nextActiveTiles.fill(0);
+
+    for (var tile = 0; tile < activeTiles.length; tile++)
+    {
+        if (activeTiles[tile] === 0)
+        {
+            continue;
+        }
+        var firstRow = Math.floor(tile / tilesAcross) * TILE_SIZE;
+        var firstCol = (tile % tilesAcross) * TILE_SIZE;
+        var lastRow = Math.min(height, firstRow + TILE_SIZE);
+        var lastCol = Math.min(width, firstCol + TILE_SIZE);
+        var tileChanged = false;
+        var statsIndex = tile * TILE_STATS_LENGTH;
+        var tilePopulation = 0;
+        var minRow = height, minCol = width, maxRow = -1, maxCol = -1;
+
+        for (var i = firstRow; i < lastRow; i++)
+        {
+            var onEdgeRow = (i === 0) || (i === (height - 1));
+            for (var j = firstCol; j < lastCol; j++)
+            {
+                var index = (i * width) + j;
+                var testCell = oldGrid[index];
+
+                // CELLS ON THE EDGES OF THE WORLD DEPEND ON THE TOPOLOGY,
+                // THE REST CAN ADD UP THEIR NEIGHBORS WITHOUT ANY TESTS
+                var numLivingNeighbors;
+                if (onEdgeRow || (j === 0) || (j === (width - 1)))
+                {
+                    numLivingNeighbors = this.calcLivingNeighbors(i, j);
+                }
+                else
+                {
+                    var above = index - width;
+                    var below = index + width;
+                    numLivingNeighbors = weights[oldGrid[above - 1]] + weights[oldGrid[above]] + weights[oldGrid[above + 1]]
+                                       + weights[oldGrid[index - 1]]                             + weights[oldGrid[index + 1]]
+                                       + weights[oldGrid[below - 1]] + weights[oldGrid[below]] + weights[oldGrid[below + 1]];
+                }
+
+                // AND LET THE RULE DECIDE WHAT IT BECOMES
+                var newCell = table[(testCell * TRANSITION_TABLE_WIDTH) + numLivingNeighbors];
+                newGrid[index] = newCell;
+                if (newCell !== testCell)
+                {
+                    tileChanged = true;
+                    changes.changedIndices.push(index);
+                    changes.previousCells.push(testCell);
+                    changes.newCells.push(newCell);
+                    if (newCell === LIVE_CELL)
+                    {
+                        changes.births++;
+                    }
+                    else if (testCell === LIVE_CELL)
+                    {
+                        changes.deaths++;
+                    }
+                }
+
+                // KEEP TRACK OF THE LIVE CELLS IN THIS TILE
+                if (newCell === LIVE_CELL)
+                {
+                    tilePopulation++;
+                    if (i < minRow) minRow = i;
+                    if (i > maxRow) maxRow = i;
+                    if (j < minCol) minCol = j;
+                    if (j > maxCol) maxCol = j;
+                }
+            }
+        }
+        tileStats[statsIndex] = tilePopulation;
+        tileStats[statsIndex + 1] = minRow;
+        tileStats[statsIndex + 2] = minCol;
+        tileStats[statsIndex + 3] = maxRow;
+        tileStats[statsIndex + 4] = maxCol;
+
+        // A CHANGE MEANS THIS TILE AND THE ONES AROUND IT GO NEXT TIME
+        if (tileChanged)
+        {
+            this.activateTileNeighborhood(tile);
+        }
+    }
+
+    // THE TILES GOING NEXT TIME ARE NOW THE ACTIVE ONES
+    this.activeTiles = this.nextActiveTiles;
+    this.nextActiveTiles = activeTiles;
+
+    // AND THE STATISTICS ARE THE SUM OF THE TILES' STATISTICS
+    for (var tile = 0; tile < activeTiles.length; tile++)
+    {
+        var statsIndex = tile * TILE_STATS_LENGTH;
+        if (tileStats[statsIndex] > 0)
+        {
+            changes.population += tileStats[statsIndex];
+            addToBounds(changes.bounds, tileStats[statsIndex + 1], tileStats[statsIndex + 2]);
+            addToBounds(changes.bounds, tileStats[statsIndex + 3], tileStats[statsIndex + 4]);
+        }
+    }
+    return changes;
+};
+
+/*
+ * This method makes sure the tile arrays fit the grid and, if the
+ * board was changed by something other than the dense engine since it
+ * last ran, makes every tile active so all of them get updated.
+ */
+World.prototype.prepareActiveTiles = function ()
+{
+    var numTilesAcross = Math.ceil(this.width / TILE_SIZE);
+    var numTilesDown = Math.ceil(this.height / TILE_SIZE);
+    if ((this.activeTiles === undefined) || (numTilesAcross !== this.tilesAcross) || (numTilesDown !== this.tilesDown))
+    {
+        this.tilesAcross = numTilesAcross;
+        this.tilesDown = numTilesDown;
+        this.activeTiles = new Uint8Array(this.tilesAcross * this.tilesDown);
+        this.nextActiveTiles = new Uint8Array(this.tilesAcross * this.tilesDown);
+        this.tileStats = new Int32Array(this.tilesAcross * this.tilesDown * TILE_STATS_LENGTH);
+        this.activeTilesValid = false;
+    }
+    if (!this.activeTilesValid)
+    {
+        this.activeTiles.fill(1);
+        this.activeTilesValid = true;
+    }
+};
+
+/*
+ * This method makes the tile argument and the 8 tiles around it active
+ * for the next generation. Tiles past an edge that wraps around are on
+ * the other side, tiles past any other edge don't exist.
+ */
+World.prototype.activateTileNeighborhood = function (tile)
+{
+    var tilesAcross = this.tilesAcross;
+    var tilesDown = this.tilesDown;
+    var tileRow = Math.floor(tile / tilesAcross);
+    var tileCol = tile % tilesAcross;
+    for (var rowOffset = -1; rowOffset <= 1; rowOffset++)
+    {
+        var row = tileRow + rowOffset;
+        if (this.wrapsVertically())
+        {
+            row = (row + tilesDown) % tilesDown;
+        }
+        if ((row < 0) || (row >= tilesDown))
+        {
+            continue;
+        }
+        for (var colOffset = -1; colOffset <= 1; colOffset++)
+        {
+            var col = tileCol + colOffset;
+            if (this.wrapsHorizontally())
+            {
+                col = (col + tilesAcross) % tilesAcross;
+            }
+            if ((col >= 0) && (col < tilesAcross))
+            {
+                this.nextActiveTiles[(row * tilesAcross) + col] = 1;
+            }
+        }
+    }
+};
+
+/*
+ * This method says the board was changed by something other than the
+ * dense engine, like an edit, or that the rule or topology was changed,
+ * so the next generation has to update every tile.
+ */
+World.prototype.invalidateActiveTiles = function ()
+{
+    this.activeTilesValid = false;
+};
+
+/*
+ * This method fills the transition table with what calcNextCellState
+ * says each kind of cell becomes with each possible neighbor count, so
+ * the dense engine can look it up rather than test the rule each time.
+ */
+World.prototype.buildTransitionTable = function ()
+{
+    if (this.transitionTable === undefined)
+    {
+        this.transitionTable = new Uint8Array(CELL_VALUES * TRANSITION_TABLE_WIDTH);
+    }
+    for (var cell = 0; cell < CELL_VALUES; cell++)
+    {
+        for (var count = 0; count < TRANSITION_TABLE_WIDTH; count++)
+        {
+            this.transitionTable[(cell * TRANSITION_TABLE_WIDTH) + count] = this.calcNextCellState(cell, count);
+        }
+    }
+};
+
+/*
+ * This method does what calcNextGeneration does for the sparse engine.
+ * Rather than visiting every cell it has each live cell add one to the
+ * neighbor count of each cell around it, so only cells that end up with
+ * a count can be born, and a generation takes time in proportion to the
+ * number of live cells rather than the size of the world.
+ */
+World.prototype.calcNextSparseGeneration = function ()
+{
+    var world = this;
+    var oldGrid = this.updateGrid;
+    var newGrid = this.renderGrid;
+    newGrid.clear();
+
+    // WE'LL KEEP TRACK OF WHAT CHANGES SO WE CAN STEP BACK
+    var changes = { changedIndices: new Array(),
+                    previousCells: new Array(),
+                    newCells: new Array(),
+                    population: 0,
+                    births: 0,
+                    deaths: 0,
+                    bounds: createBounds() };
+
+    // COUNT THE NEIGHBORS OF EVERY CELL NEXT TO A LIVE CELL
+    var neighborCounts = new Map();
+    oldGrid.forEach(function (cell, index)
+    {
+        if (cell === LIVE_CELL)
+        {
+            for (var i = 0; i < SPARSE_NEIGHBOR_OFFSETS.length; i++)
+            {
+                var neighborIndex = index + SPARSE_NEIGHBOR_OFFSETS[i];
+                var count = neighborCounts.get(neighborIndex);
+                neighborCounts.set(neighborIndex, (count === undefined) ? 1 : count + 1);
+            }
+        }
+    });
+
+    // THE CELLS THAT AREN'T DEAD EITHER STAY VOID, LIVE ON OR DIE, OR KEEP DYING
+    oldGrid.forEach(function (testCell, index)
+    {
+        var count = neighborCounts.get(index);
+        var newCell = world.calcNextCellState(testCell, (count === undefined) ? 0 : count);
+        setGridIndexCell(newGrid, index, newCell);
+        if (newCell === LIVE_CELL)
+        {
+            changes.population++;
+            addToBounds(changes.bounds, world.getIndexRow(index), world.getIndexCol(index));
+        }
+        if (newCell !== testCell)
+        {
+            changes.changedIndices.push(index);
+            changes.previousCells.push(testCell);
+            changes.newCells.push(newCell);
+            if (testCell === LIVE_CELL)
+            {
+                changes.deaths++;
+            }
+        }
+    });
+
+    // AND THE DEAD ONES WITH LIVE NEIGHBORS MAY BE BORN
+    neighborCounts.forEach(function (count, index)
+    {
+        if (oldGrid.has(index) || !world.isValidCell(world.getIndexRow(index), world.getIndexCol(index)))
+        {
+            return;
+        }
+        if (world.calcNextCellState(DEAD_CELL, count) === LIVE_CELL)
+        {
+            newGrid.set(index, LIVE_CELL);
+            changes.population++;
+            changes.births++;
+            addToBounds(changes.bounds, world.getIndexRow(index), world.getIndexCol(index));
+            changes.changedIndices.push(index);
+            changes.previousCells.push(DEAD_CELL);
+            changes.newCells.push(LIVE_CELL);
+        }
+    });
+    return changes;
+};
+
+/*
+ * We need one grid's cells to determine the grid's values for
+ * the next frame. So, before each update we swap them, so that the
+ * grid we rendered last frame becomes the update grid, and then we
+ * update the render grid based on its contents. Note that this means
+ * the render grid always holds the current generation, so we can
+ * render it again as often as we like without progressing the game.
+ */
+World.prototype.swapGrids = function ()
+{
+    var temp = this.updateGrid;
+    this.updateGrid = this.renderGrid;
+    this.renderGrid = temp;
+};
+
+/*
+ * This function makes an empty bounding box for addToBounds to grow.
+ * Its values are all -1 until a cell is added.
+ */
+function createBounds()
+{
+    return { empty: true, minCol: -1, minRow: -1, maxCol: -1, maxRow: -1 };
+}
+
+/*
+ * This function grows the bounding box argument, if needed, so that
+ * it includes the cell at (row, col).
+ */
+function addToBounds(bounds, row, col)
+{
+    if (bounds.empty)
+    {
+        bounds.empty = false;
+        bounds.minCol = col;
+        bounds.minRow = row;
+        bounds.maxCol = col;
+        bounds.maxRow = row;
+        return;
+    }
+    bounds.minCol = Math.min(bounds.minCol, col);
+    bounds.minRow = Math.min(bounds.minRow, row);
+    bounds.maxCol = Math.max(bounds.maxCol, col);
+    bounds.maxRow = Math.max(bounds.maxRow, row);
+}
+
+// THE ENGINE IS READY TO USE AS SOON AS THIS FILE IS LOADED
+initCoreConstants();
+initCellLookup();
+
+// UNDER NODE THIS FILE IS A MODULE, IN THE PAGE AND THE WORKER
+// EVERYTHING IN IT IS GLOBAL LIKE THE REST OF THE SCRIPTS
+if (typeof module !== "undefined")
+{
+    module.exports = { createWorld: createWorld,
+                       World: World,
+                       parseRuleString: parseRuleString,
+                       DEAD_CELL: DEAD_CELL,
+                       LIVE_CELL: LIVE_CELL,
+                       VOID_CELL: VOID_CELL,
+                       FIRST_DYING_CELL: FIRST_DYING_CELL,
+                       TOPOLOGY_PLANE: TOPOLOGY_PLANE,
+                       TOPOLOGY_TORUS: TOPOLOGY_TORUS,
+                       TOPOLOGY_HORIZONTAL_CYLINDER: TOPOLOGY_HORIZONTAL_CYLINDER,
+                       TOPOLOGY_VERTICAL_CYLINDER: TOPOLOGY_VERTICAL_CYLINDER,
+                       ENGINE_DENSE: ENGINE_DENSE,
+                       ENGINE_SPARSE: ENGINE_SPARSE };
+}
@@ -0,0 +1,95 @@
+/*
+ * Conway's Game of Life (Seawolf Edition)
+ *
+ * This JavaScript file is run by a Web Worker so the simulation can be
+ * updated without holding up the page. Its copy of the board is a World,
+ * from GameOfLifeCore.js, like the page's. The page sends a "load"
+ * message with the board and settings, after which we make a new
+ * generation on a timed basis and send back the changes it made,
+ * until the page sends a "pause" message or loads a new board. Cells drawn
+ * with the pencil and eraser come in "set" messages, which change the board
+ * without holding up the next generation.
+ *
+ * Authors: Richard McKenna & James Lynn
+ */
+
+importScripts("GameOfLifeCore.js");
+
+// WORKER VARIABLES, world IS OUR COPY OF THE BOARD, workerEpoch IS THE
+// PAGE'S NUMBER FOR IT AND workerCellsVersion IS THE NUMBER OF THE LAST
+// "set" MESSAGE FOR IT, BOTH OF WHICH GO BACK WITH EACH GENERATION'S CHANGES
+var world;
+var workerTimer = null;
+var workerEpoch;
+var workerCellsVersion;
+var frameInterval;
+
+/*
+ * This is the event handler for messages from the page.
+ */
+onmessage = function (event)
+{
+    var message = event.data;
+
+    // CELLS SET ON THE BOARD WE'RE RUNNING DON'T STOP IT
+    if (message.type === "set")
+    {
+        if ((message.epoch === workerEpoch) && (workerTimer !== null))
+        {
+            setCells(message);
+        }
+        return;
+    }
+    clearTimeout(workerTimer);
+    workerTimer = null;
+    if (message.type === "load")
+    {
+        loadSimulation(message);
+        workerTimer = setTimeout(runGeneration, frameInterval);
+    }
+};
+
+/*
+ * This function sets up the board and settings sent by the page's
+ * loadSimulationWorker method.
+ */
+function loadSimulation(message)
+{
+    workerEpoch = message.epoch;
+    workerCellsVersion = 0;
+    world = createWorld(message.world);
+    frameInterval = message.frameInterval;
+}
+
+/*
+ * This function puts the cells in a "set" message, sent by the page's
+ * sendStrokeCells method, on the board, the same way the page did.
+ */
+function setCells(message)
+{
+    world.setCells(message.indices, message.cells);
+    workerCellsVersion = message.version;
+}
+
+/*
+ * Called on a timed basis, this method makes the next generation and
+ * sends its changes to the page. The changes are put in typed arrays so
+ * their buffers can be handed over rather than copied.
+ */
+function runGeneration()
+{
+    var startTime = Date.now();
+    var changes = world.nextGeneration();
+    changes.epoch = workerEpoch;
+    changes.cellsVersion = workerCellsVersion;
+    changes.changedIndices = new Float64Array(changes.changedIndices);
+    changes.previousCells = new Uint8Array(changes.previousCells);
+    changes.newCells = new Uint8Array(changes.newCells);
+    postMessage(changes, [ changes.changedIndices.buffer,
+                           changes.previousCells.buffer,
+                           changes.newCells.buffer ]);
+
+    // A SLOW GENERATION DOESN'T HAVE TO WAIT AS LONG FOR THE NEXT ONE
+    var elapsed = Date.now() - startTime;
+    workerTimer = setTimeout(runGeneration, Math.max(0, frameInterval - elapsed));
+}
@@ -0,0 +1,494 @@
+/*
+ * Conway's Game of Life (Seawolf Edition)
+ *
+ * This JavaScript file converts patterns to and from the text formats
+ * used to share Life patterns, i.e. RLE, Plaintext (.cells) and Life 1.06.
+ * Patterns are kept the same way the image loader in GameOfLife.js keeps
+ * them, as an array of x, y pairs, one pair for each live cell, relative
+ * to the pattern's top, left corner. Nothing in here touches the page.
+ *
+ * Authors: Richard McKenna & James Lynn
+ */
+
+// PATTERN FORMAT CONSTANTS
+var RLE_MAX_LINE_LENGTH = 70;
+var RLE_FORMAT = "rle";
+var PLAINTEXT_FORMAT = "cells";
+var LIFE_106_FORMAT = "life106";
+
+// PATTERN GEOMETRY METHODS
+
+/*
+ * This function returns the bounding box of a pattern's pixels as an
+ * object with minX, minY, maxX, maxY, width and height. An empty pattern
+ * has a width and height of 0.
+ */
+function getPatternBounds(pixels)
+{
+    if (pixels.length === 0)
+    {
+        return { minX: 0, minY: 0, maxX: -1, maxY: -1, width: 0, height: 0 };
+    }
+    var minX = pixels[0];
+    var minY = pixels[1];
+    var maxX = pixels[0];
+    var maxY = pixels[1];
+    for (var i = 2; i < pixels.length; i += 2)
+    {
+        minX = Math.min(minX, pixels[i]);
+        minY = Math.min(minY, pixels[i + 1]);
+        maxX = Math.max(maxX, pixels[i]);
+        maxY = Math.max(maxY, pixels[i + 1]);
+    }
+    return { minX: minX, minY: minY, maxX: maxX, maxY: maxY,
+             width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+/*
+ * This function returns a copy of a pattern's pixels moved so that its
+ * bounding box starts at (0, 0), which is what the stamping code expects.
+ */
+function normalizePattern(pixels)
+{
+    var bounds = getPatternBounds(pixels);
+    var normalized = new Array();
+    for (var i = 0; i < pixels.length; i += 2)
+    {
+        normalized.push(pixels[i] - bounds.minX);
+        normalized.push(pixels[i + 1] - bounds.minY);
+    }
+    return normalized;
+}
+
+// RLE FORMAT METHODS
+
+/*
+ * This function parses a pattern in the RLE format, which is what
+ * most published patterns use. It looks like this:
+ *
+ *      #N Glider
+ *      x = 3, y = 3, rule = B3/S23
+ *      bob$2bo$3o!
+ *
+ * Lines starting with # are comments, of which #N names the pattern.
+ * The header gives the size and, optionally, the rule. The body is a
+ * series of runs, where b is a dead cell, o is a live cell and $ is
+ * the end of a row, each optionally preceded by a repeat count, and
+ * ! ends the pattern. Returns an object with the name, rule (null if
+ * the header doesn't give one), width, height and pixels of the pattern.
+ * Throws an Error describing the problem if the text isn't valid RLE.
+ */
+function parseRLE(text)
+{
+    var lines = String(text).split(/\r\n|\r|\n/);
+    var name = null;
+    var rule = null;
+    var width = 0;
+    var height = 0;
+    var headerFound = false;
+    var body = "";
+
+    // FIRST SEPARATE THE COMMENTS AND HEADER FROM THE BODY
+    for (var i = 0; i < lines.length; i++)
+    {
+        var line = lines[i].trim();
+        if (line.length === 0)
+        {
+            continue;
+        }
+        // SOME FILES PUT COMMENTS AFTER THE HEADER, BUT NONE ARE
+        // ALLOWED ONCE THE BODY HAS STARTED
+        if ((body.length === 0) && (line.charAt(0) === "#"))
+        {
+            // #N IS THE NAME, #r IS THE RULE IN SOME OLDER FILES
+            if (line.charAt(1) === "N")
+            {
+                name = line.substring(2).trim();
+            }
+            else if (line.charAt(1) === "r")
+            {
+                rule = line.substring(2).trim();
+            }
+            continue;
+        }
+        if (!headerFound)
+        {
+            var header = line.match(/^x\s*=\s*(\d+)\s*,\s*y\s*=\s*(\d+)\s*(?:,\s*rule\s*=\s*(\S+))?/i);
+            if (header === null)
+            {
+                throw new Error("RLE patterns need a header line like \"x = 3, y = 3, rule = B3/S23\"");
+            }
+            width = parseInt(header[1]);
+            height = parseInt(header[2]);
+            if (header[3] !== undefined)
+            {
+                rule = header[3];
+            }
+            headerFound = true;
+            continue;
+        }
+        body += line;
+    }
+    if (!headerFound)
+    {
+        throw new Error("No RLE header line was found");
+    }
+
+    // NOW DECODE THE RUNS
+    var pixels = new Array();
+    var x = 0;
+    var y = 0;
+    var count = "";
+    for (var j = 0; j < body.length; j++)
+    {
+        var c = body.charAt(j);
+        if ((c >= "0") && (c <= "9"))
+        {
+            count += c;
+            continue;
+        }
+        var run = (count.length > 0) ? parseInt(count) : 1;
+        count = "";
+        if (c === "!")
+        {
+            break;
+        }
+        else if ((c === "b") || (c === "."))
+        {
+            x += run;
+        }
+        else if (c === "$")
+        {
+            y += run;
+            x = 0;
+        }
+        else if (/[a-zA-Z]/.test(c))
+        {
+            // o IS A LIVE CELL, OTHER LETTERS ARE THE STATES OF
+            // MULTI-STATE RULES, WHICH WE ALSO TREAT AS LIVE
+            for (var k = 0; k < run; k++)
+            {
+                pixels.push(x + k);
+                pixels.push(y);
+            }
+            x += run;
+        }
+        else if (!/\s/.test(c))
+        {
+            throw new Error("Unexpected character '" + c + "' in the RLE body");
+        }
+    }
+
+    // THE HEADER SIZE MAY BE WRONG, SO MEASURE THE CELLS WE ACTUALLY GOT
+    var bounds = getPatternBounds(pixels);
+    return { name: name,
+             rule: rule,
+             width: Math.max(width, bounds.maxX + 1),
+             height: Math.max(height, bounds.maxY + 1),
+             pixels: pixels };
+}
+
+/*
+ * This function writes a pattern's pixels out in the RLE format. The
+ * name and rule are optional, if given they go in the #N comment and
+ * the header. The pattern is moved so its bounding box starts at (0, 0).
+ */
+function encodeRLE(pixels, name, rule)
+{
+    var bounds = getPatternBounds(pixels);
+
+    // SORT THE LIVE CELLS INTO ROWS
+    var rows = new Array();
+    for (var i = 0; i < pixels.length; i += 2)
+    {
+        var x = pixels[i] - bounds.minX;
+        var y = pixels[i + 1] - bounds.minY;
+        if (rows[y] === undefined)
+        {
+            rows[y] = new Array();
+        }
+        rows[y].push(x);
+    }
+
+    // BUILD THE LIST OF RUNS, ROW BY ROW
+    var tokens = new Array();
+    var pendingRows = 0;
+    for (var row = 0; row < bounds.height; row++)
+    {
+        if (row > 0)
+        {
+            pendingRows++;
+        }
+        var cols = rows[row];
+        if (cols === undefined)
+        {
+            continue;
+        }
+        if (pendingRows > 0)
+        {
+            tokens.push(runToken(pendingRows, "$"));
+            pendingRows = 0;
+        }
+        cols.sort(function(a, b) { return a - b; });
+
+        // TRAILING DEAD CELLS IN A ROW ARE LEFT OUT
+        var col = 0;
+        var c = 0;
+        while (c < cols.length)
+        {
+            if (cols[c] > col)
+            {
+                tokens.push(runToken(cols[c] - col, "b"));
+            }
+            var start = cols[c];
+            while ((c + 1 < cols.length) && (cols[c + 1] <= cols[c] + 1))
+            {
+                c++;
+            }
+            tokens.push(runToken(cols[c] - start + 1, "o"));
+            col = cols[c] + 1;
+            c++;
+        }
+    }
+    tokens.push("!");
+
+    // AND WRAP THE RUNS INTO LINES THAT AREN'T TOO LONG
+    var text = "";
+    if (name)
+    {
+        text += "#N " + name + "\n";
+    }
+    text += "x = " + bounds.width + ", y = " + bounds.height;
+    if (rule)
+    {
+        text += ", rule = " + rule;
+    }
+    text += "\n";
+    var line = "";
+    for (var t = 0; t < tokens.length; t++)
+    {
+        if (line.length + tokens[t].length > RLE_MAX_LINE_LENGTH)
+        {
+            text += line + "\n";
+            line = "";
+        }
+        line += tokens[t];
+    }
+    text += line + "\n";
+    return text;
+}
+
+/*
+ * Helper for encodeRLE, writes a single run, leaving out the count
+ * when it's 1.
+ */
+function runToken(count, tag)
+{
+    return (count > 1) ? (count + tag) : tag;
+}
+
+// PLAINTEXT FORMAT METHODS
+
+/*
+ * This function parses a pattern in the Plaintext format, usually
+ * saved in .cells files. It looks like this:
+ *
+ *      !Name: Glider
+ *      .O.
+ *      ..O
+ *      OOO
+ *
+ * Lines starting with ! are comments, of which !Name: names the pattern.
+ * Every other line is a row of cells, where . is dead and O is live. We
+ * also accept * for live cells since some older files use it. Returns
+ * the same kind of object as parseRLE, throwing an Error if the text
+ * isn't valid.
+ */
+function parsePlaintext(text)
+{
+    var lines = String(text).split(/\r\n|\r|\n/);
+    var name = null;
+    var pixels = new Array();
+    var width = 0;
+    var y = 0;
+
+    // SKIP THE BLANK LINES AT THE END, THEY AREN'T ROWS
+    while ((lines.length > 0) && (lines[lines.length - 1].trim().length === 0))
+    {
+        lines.pop();
+    }
+    for (var i = 0; i < lines.length; i++)
+    {
+        var line = lines[i].replace(/\s+$/, "");
+        if (line.charAt(0) === "!")
+        {
+            var nameMatch = line.match(/^!\s*Name:\s*(.*)$/i);
+            if (nameMatch !== null)
+            {
+                name = nameMatch[1].trim();
+            }
+            continue;
+        }
+        for (var x = 0; x < line.length; x++)
+        {
+            var c = line.charAt(x);
+            if ((c === "O") || (c === "*"))
+            {
+                pixels.push(x);
+                pixels.push(y);
+            }
+            else if (c !== ".")
+            {
+                throw new Error("Unexpected character '" + c + "' on line " + (i + 1)
+                                + ", Plaintext rows may only contain . and O");
+            }
+        }
+        width = Math.max(width, line.length);
+        y++;
+    }
+    return { name: name, rule: null, width: width, height: y, pixels: pixels };
+}
+
+// LIFE 1.06 FORMAT METHODS
+
+/*
+ * This function parses a pattern in the Life 1.06 format, which is
+ * just a list of live cell coordinates, one x y pair per line, after
+ * a "#Life 1.06" header line. Coordinates may be negative, so the
+ * pattern is moved so that its bounding box starts at (0, 0). Returns
+ * the same kind of object as parseRLE, throwing an Error if the text
+ * isn't valid.
+ */
+function parseLife106(text)
+{
+    var lines = String(text).split(/\r\n|\r|\n/);
+
+    // PASTED TEXT MAY HAVE BLANK LINES BEFORE THE HEADER
+    var headerLine = 0;
+    while ((headerLine < lines.length - 1) && (lines[headerLine].trim().length === 0))
+    {
+        headerLine++;
+    }
+    if (!/^#Life 1\.06/.test(lines[headerLine].trim()))
+    {
+        throw new Error("Life 1.06 patterns must start with a \"#Life 1.06\" line");
+    }
+    var name = null;
+    var pixels = new Array();
+    for (var i = headerLine + 1; i < lines.length; i++)
+    {
+        var line = lines[i].trim();
+        if (line.length === 0)
+        {
+            continue;
+        }
+        if (line.charAt(0) === "#")
+        {
+            if (line.charAt(1) === "N")
+            {
+                name = line.substring(2).trim();
+            }
+            continue;
+        }
+        var coords = line.match(/^(-?\d+)\s+(-?\d+)$/);
+        if (coords === null)
+        {
+            throw new Error("Line " + (i + 1) + " should be an x y coordinate pair");
+        }
+        pixels.push(parseInt(coords[1]));
+        pixels.push(parseInt(coords[2]));
+    }
+    var bounds = getPatternBounds(pixels);
+    return { name: name,
+             rule: null,
+             width: bounds.width,
+             height: bounds.height,
+             pixels: normalizePattern(pixels) };
+}
+
+// FORMAT DETECTION METHODS
+
+/*
+ * This function figures out which format a pattern is in, first by the
+ * file name's extension, if there is one, and then by looking at the
+ * text itself. Returns one of the format constants, or null if it's
+ * none of the ones we know.
+ */
+function detectPatternFormat(text, fileName)
+{
+    var extension = "";
+    if (fileName)
+    {
+        var dot = fileName.lastIndexOf(".");
+        extension = (dot >= 0) ? fileName.substring(dot + 1).toLowerCase() : "";
+    }
+    if (extension === "rle")
+    {
+        return RLE_FORMAT;
+    }
+    else if (extension === "cells")
+    {
+        return PLAINTEXT_FORMAT;
+    }
+    else if ((extension === "lif") || (extension === "life"))
+    {
+        return LIFE_106_FORMAT;
+    }
+
+    // NO USEFUL EXTENSION, SO LOOK AT THE TEXT. PLAINTEXT IS LAST SINCE
+    // IT'S JUST ROWS OF . AND O WITH ! COMMENTS
+    var trimmed = String(text).trim();
+    if (/^#Life 1\.06/.test(trimmed))
+    {
+        return LIFE_106_FORMAT;
+    }
+    else if (/^\s*x\s*=\s*\d+\s*,\s*y\s*=/im.test(trimmed))
+    {
+        return RLE_FORMAT;
+    }
+    else if (/^(![^\r\n]*|[.O*]*[ \t]*)(\r?\n(![^\r\n]*|[.O*]*[ \t]*))*$/.test(trimmed))
+    {
+        return PLAINTEXT_FORMAT;
+    }
+    return null;
+}
+
+/*
+ * This function parses a pattern in any of the formats we know, using
+ * detectPatternFormat to decide which one. The format found is added
+ * to the returned object. Throws an Error if the format can't be
+ * determined or the pattern isn't valid.
+ */
+function parsePattern(text, fileName)
+{
+    var format = detectPatternFormat(text, fileName);
+    var pattern;
+    if (format === RLE_FORMAT)
+    {
+        pattern = parseRLE(text);
+    }
+    else if (format === PLAINTEXT_FORMAT)
+    {
+        pattern = parsePlaintext(text);
+    }
+    else if (format === LIFE_106_FORMAT)
+    {
+        pattern = parseLife106(text);
+    }
+    else
+    {
+        throw new Error("That doesn't look like an RLE, Plaintext or Life 1.06 pattern");
+    }
+    pattern.format = format;
+    return pattern;
+}
+
+// UNDER NODE THIS FILE IS A MODULE, IN THE PAGE ITS
+// FUNCTIONS ARE GLOBAL LIKE THE REST OF THE SCRIPTS
+if (typeof module !== "undefined")
+{
+    module.exports = { parsePattern: parsePattern,
+                       encodeRLE: encodeRLE,
+                       normalizePattern: normalizePattern,
+                       getPatternBounds: getPatternBounds };
+}
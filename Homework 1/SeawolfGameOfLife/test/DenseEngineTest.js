@@ -0,0 +1,144 @@
+/*
+ * Conway's Game of Life (Seawolf Edition)
+ *
+ * This Node script checks that the dense engine, which only updates its
+ * active tiles and looks the rule up in a table, makes exactly the same
+ * generations as updating every cell with calcLivingNeighbors and
+ * calcNextCellState, which is how the simulation worked before it. It
+ * runs random boards with void cells on every topology with a few rules,
+ * changing the rule part way through, and exits with 1 if any generation
+ * differs. Run it with
+ *
+ *     node test/DenseEngineTest.js
+ *
+ * Authors: Richard McKenna & James Lynn
+ */
+
+var core = require("../public_html/js/GameOfLifeCore.js");
+
+// TEST CONSTANTS
+var RULES = ["B3/S23", "B36/S23", "B2/S/C3", "B3/S23/C8", "B0/S8"];
+var TOPOLOGIES = [core.TOPOLOGY_PLANE,
+                  core.TOPOLOGY_TORUS,
+                  core.TOPOLOGY_HORIZONTAL_CYLINDER,
+                  core.TOPOLOGY_VERTICAL_CYLINDER];
+var SIZES = [[64, 64], [70, 45], [33, 97]];
+var LIVE_CHANCE = 0.35;
+var VOID_CHANCE = 0.03;
+var GENERATIONS = 40;
+
+// THE SAME RANDOM BOARDS EVERY RUN, SO A FAILURE CAN BE REPEATED
+var seed = 1;
+
+/*
+ * Returns a pseudo-random number from 0 up to but not including 1.
+ */
+function random()
+{
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+}
+
+/*
+ * This function makes the next generation of the reference World argument
+ * the slow way, by counting every cell's neighbors and applying the rule.
+ */
+function calcReferenceGeneration(world)
+{
+    world.swapGrids();
+    for (var row = 0; row < world.height; row++)
+    {
+        for (var col = 0; col < world.width; col++)
+        {
+            var index = world.getCellIndex(row, col);
+            var numLivingNeighbors = world.calcLivingNeighbors(row, col);
+            world.renderGrid[index] = world.calcNextCellState(world.updateGrid[index], numLivingNeighbors);
+        }
+    }
+}
+
+/*
+ * Returns the index of the first cell that's different in the two Worlds'
+ * boards, or -1 if they're the same.
+ */
+function findDifference(world, reference)
+{
+    for (var i = 0; i < world.renderGrid.length; i++)
+    {
+        if (world.renderGrid[i] !== reference.renderGrid[i])
+        {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/*
+ * This function runs one random board with the engine and the reference
+ * side by side, switching to the second rule half way through. Returns
+ * a description of the first difference, or null if there wasn't one.
+ */
+function runBoard(size, topology, firstRule, secondRule)
+{
+    var world = core.createWorld({ width: size[0],
+                                   height: size[1],
+                                   rule: firstRule,
+                                   topology: topology });
+    for (var y = 0; y < world.height; y++)
+    {
+        for (var x = 0; x < world.width; x++)
+        {
+            var chance = random();
+            if (chance < VOID_CHANCE)
+            {
+                world.setVoid(x, y, true);
+            }
+            else if (chance < LIVE_CHANCE)
+            {
+                world.setCell(x, y, core.LIVE_CELL);
+            }
+        }
+    }
+    var reference = core.createWorld(world.getOptions());
+    for (var generation = 1; generation <= GENERATIONS; generation++)
+    {
+        if (generation === (GENERATIONS / 2))
+        {
+            world.setRule(secondRule);
+            reference.setRule(secondRule);
+        }
+        world.nextGeneration();
+        calcReferenceGeneration(reference);
+        var index = findDifference(world, reference);
+        if (index >= 0)
+        {
+            return "generation " + generation + " of " + firstRule + " then " + secondRule
+                 + " on a " + size[0] + "x" + size[1] + " board with topology " + topology
+                 + ": cell (" + world.getIndexCol(index) + ", " + world.getIndexRow(index) + ") is "
+                 + world.renderGrid[index] + " but should be " + reference.renderGrid[index];
+        }
+    }
+    return null;
+}
+
+// TRY EVERY SIZE, TOPOLOGY AND RULE, EACH FOLLOWED BY THE NEXT RULE
+var failures = 0;
+var boards = 0;
+for (var s = 0; s < SIZES.length; s++)
+{
+    for (var t = 0; t < TOPOLOGIES.length; t++)
+    {
+        for (var r = 0; r < RULES.length; r++)
+        {
+            var failure = runBoard(SIZES[s], TOPOLOGIES[t], RULES[r], RULES[(r + 1) % RULES.length]);
+            boards++;
+            if (failure !== null)
+            {
+                console.log("FAILED " + failure);
+                failures++;
+            }
+        }
+    }
+}
+console.log(boards + " boards, " + failures + " failed");
+process.exitCode = (failures > 0) ? 1 : 0;